@@ -0,0 +1,91 @@
+// User accounts and roles.
+// Users are stored in the data file ({ id, username, role, passwordHash, createdAt, totp? }); the password hashes come
+// from auth.hashPassword(), and `totp` ({ secret, lastCounter, recoveryCodeHashes }) is set when two-factor
+// authentication is enabled (see totp.js). Without any user, the dashboard is open and everyone is an admin.
+
+const nodeCrypto = require('crypto');
+
+// Constants
+// Each role can do everything the previous ones can:
+// viewers see the tunnels (without their keys), operators also start/stop/restart them, admins change everything.
+const roles = ['viewer', 'operator', 'admin'];
+
+/**
+ * @param {unknown} role
+ * @returns {boolean}
+ */
+function isValidRole(role) {
+  return roles.includes(role);
+}
+
+/**
+ * Whether a role grants the permissions of another one
+ * @param {string} role - Role of the user
+ * @param {string} requiredRole
+ * @returns {boolean}
+ */
+function hasRole(role, requiredRole) {
+  return roles.indexOf(role) >= roles.indexOf(requiredRole);
+}
+
+/**
+ * @param {unknown} username
+ * @returns {boolean}
+ */
+function isValidUsername(username) {
+  return typeof username === 'string' && /^[A-Za-z0-9._@-]{1,64}$/.test(username);
+}
+
+/**
+ * Create a user entry
+ * @param {string} username
+ * @param {string} role
+ * @param {string} passwordHash - As returned by auth.hashPassword()
+ * @returns {{ id: string, username: string, role: string, passwordHash: string, createdAt: number }}
+ */
+function createUser(username, role, passwordHash) {
+  return { id: nodeCrypto.randomUUID(), username, role, passwordHash, createdAt: Math.floor(Date.now() / 1000) };
+}
+
+/**
+ * Validate a user loaded from the data file
+ * @param {unknown} user
+ * @returns {boolean}
+ */
+function isValidUser(user) {
+  return Boolean(user) && typeof user === 'object' && typeof user.id === 'string' && isValidUsername(user.username)
+    && isValidRole(user.role) && typeof user.passwordHash === 'string'
+    && (user.totp === undefined || (Boolean(user.totp) && typeof user.totp.secret === 'string'
+      && Number.isSafeInteger(user.totp.lastCounter) && Array.isArray(user.totp.recoveryCodeHashes)));
+}
+
+/**
+ * Find a user by username (case-insensitive, like most logins)
+ * @param {object[]} users
+ * @param {string} username
+ * @returns {object | undefined}
+ */
+function findByUsername(users, username) {
+  const lowerCaseUsername = username.toLowerCase();
+  return users.find((user) => user.username.toLowerCase() === lowerCaseUsername);
+}
+
+/**
+ * API representation of a user (without the password hash and the two-factor secrets)
+ * @param {object} user
+ * @returns {{ id: string, username: string, role: string, createdAt: number, totpEnabled: boolean }}
+ */
+function serializeUser({ id, username, role, createdAt, totp }) {
+  return { id, username, role, createdAt, totpEnabled: Boolean(totp) };
+}
+
+module.exports = {
+  roles,
+  isValidRole,
+  hasRole,
+  isValidUsername,
+  createUser,
+  isValidUser,
+  findByUsername,
+  serializeUser,
+};
@@ -0,0 +1,144 @@
+// Long-lived API tokens for automation (CI, Ansible...), sent as "Authorization: Bearer <token>" like access tokens.
+// Tokens are stored in the data file as SHA-256 hashes, like refresh tokens: the token itself is only shown once.
+// A token acts on behalf of the user who created it, limited to its scopes and optionally to some tunnels.
+
+const nodeCrypto = require('crypto');
+
+// Constants
+const tokenPrefix = 'hssb_'; // tells API tokens apart from access tokens (JWTs)
+// "tunnels:write" (start/stop/restart, create, update and delete servers and clients) includes "read"
+const scopes = ['read', 'tunnels:write'];
+const maxTokens = 100;
+const maxTunnelIds = 1000;
+
+function hashToken(token) {
+  return nodeCrypto.createHash('sha256').update(token, 'utf8').digest('hex');
+}
+
+/**
+ * Whether a bearer token is an API token (rather than an access token)
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isApiToken(token) {
+  return token.startsWith(tokenPrefix);
+}
+
+/**
+ * Validate the fields of a new token
+ * @param {{ name: unknown, scopes: unknown, tunnelIds: unknown, expiresAt: unknown }} fields
+ * @param {Set<string>} knownTunnelIds - Ids of the existing servers and clients
+ * @returns {string | null} - A message describing the first invalid field, or null if the fields are valid
+ */
+function getTokenError({ name, scopes: tokenScopes, tunnelIds, expiresAt }, knownTunnelIds) {
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+    return 'Name must be a non-empty string of at most 100 characters';
+  }
+  if (!Array.isArray(tokenScopes) || tokenScopes.length === 0
+    || !tokenScopes.every((scope) => scopes.includes(scope))) {
+    return `Scopes must be a non-empty list of: ${scopes.join(', ')}`;
+  }
+  if (tunnelIds !== null) {
+    if (!Array.isArray(tunnelIds) || tunnelIds.length === 0 || tunnelIds.length > maxTunnelIds) {
+      return 'Tunnel ids must be null (all tunnels) or a non-empty list';
+    }
+    const unknownId = tunnelIds.find((id) => !knownTunnelIds.has(id));
+    if (unknownId !== undefined) {
+      return `Unknown tunnel id: ${unknownId}`;
+    }
+  }
+  if (expiresAt !== null && (!Number.isSafeInteger(expiresAt) || expiresAt <= Math.floor(Date.now() / 1000))) {
+    return 'Expiry must be null (never) or a Unix time in the future';
+  }
+  return null;
+}
+
+/**
+ * Create a token
+ * @param {string} userId - The user the token acts for
+ * @param {{ name: string, scopes: string[], tunnelIds: string[] | null, expiresAt: number | null }} fields - Valid
+ *   fields, see getTokenError()
+ * @returns {{ token: string, apiToken: object }} - `token` is the secret to hand out, `apiToken` the stored entry
+ */
+function createToken(userId, { name, scopes: tokenScopes, tunnelIds, expiresAt }) {
+  const token = `${tokenPrefix}${nodeCrypto.randomBytes(32).toString('base64url')}`;
+  return {
+    token,
+    apiToken: {
+      id: nodeCrypto.randomUUID(),
+      name: name.trim(),
+      tokenHash: hashToken(token),
+      userId,
+      scopes: [...new Set(tokenScopes)],
+      tunnelIds: tunnelIds && [...new Set(tunnelIds)],
+      createdAt: Math.floor(Date.now() / 1000),
+      expiresAt,
+      lastUsedAt: null,
+    },
+  };
+}
+
+/**
+ * Validate a token loaded from the data file
+ * @param {unknown} apiToken
+ * @returns {boolean}
+ */
+function isValidToken(apiToken) {
+  return Boolean(apiToken) && typeof apiToken === 'object' && typeof apiToken.id === 'string'
+    && typeof apiToken.tokenHash === 'string' && typeof apiToken.userId === 'string'
+    && Array.isArray(apiToken.scopes) && (apiToken.tunnelIds === null || Array.isArray(apiToken.tunnelIds));
+}
+
+/**
+ * Find the (unexpired) stored entry of a token
+ * @param {object[]} apiTokens
+ * @param {string} token
+ * @returns {object | undefined}
+ */
+function findToken(apiTokens, token) {
+  const tokenHash = hashToken(token);
+  const now = Math.floor(Date.now() / 1000);
+  return apiTokens.find((apiToken) => apiToken.tokenHash === tokenHash
+    && (apiToken.expiresAt === null || now < apiToken.expiresAt));
+}
+
+/**
+ * Whether a token grants a scope
+ * @param {object} apiToken
+ * @param {string} scope
+ * @returns {boolean}
+ */
+function hasScope(apiToken, scope) {
+  return apiToken.scopes.includes(scope) || (scope === 'read' && apiToken.scopes.includes('tunnels:write'));
+}
+
+/**
+ * Whether a token may access a tunnel
+ * @param {object} apiToken
+ * @param {string} tunnelId - Id of a server or client
+ * @returns {boolean}
+ */
+function allowsTunnel(apiToken, tunnelId) {
+  return apiToken.tunnelIds === null || apiToken.tunnelIds.includes(tunnelId);
+}
+
+/**
+ * API representation of a token (without its hash)
+ * @param {object} apiToken
+ */
+function serializeToken({ id, name, userId, scopes: tokenScopes, tunnelIds, createdAt, expiresAt, lastUsedAt }) {
+  return { id, name, userId, scopes: tokenScopes, tunnelIds, createdAt, expiresAt, lastUsedAt };
+}
+
+module.exports = {
+  scopes,
+  maxTokens,
+  isApiToken,
+  getTokenError,
+  createToken,
+  isValidToken,
+  findToken,
+  hasScope,
+  allowsTunnel,
+  serializeToken,
+};
@@ -0,0 +1,157 @@
+// Append-only audit log of configuration changes and logins, as JSON lines in a file next to the data file.
+// Every line is { id, time, actor: { userId, username, sessionId?, tokenId?, ip }, action, target?, changes?,
+// details? } where `id` is the line number, so that the log can be paged without a separate index.
+
+const fs = require('fs/promises');
+const readline = require('readline');
+const { createReadStream } = require('fs');
+
+// Constants
+const redactedFields = ['key', 'passwordHash', 'tokenHash', 'totp']; // secrets never written to the log
+const redactedValue = '[redacted]';
+const maxPageSize = 500;
+
+// In-memory state
+let auditFile = null;
+let nextId = null; // known once the existing lines have been counted
+let appendQueue = Promise.resolve(); // appends are serialized so that ids follow the line order
+
+/**
+ * Set the log file (and count the entries already in it)
+ * @param {string} file
+ */
+async function init(file) {
+  auditFile = file;
+  nextId = 1;
+  await forEachLine(() => {
+    nextId++;
+  });
+}
+
+async function forEachLine(callback) {
+  let stream;
+  try {
+    await fs.access(auditFile);
+    stream = createReadStream(auditFile, { encoding: 'utf-8' });
+  } catch (err) {
+    if (err?.code === 'ENOENT') {
+      return;
+    }
+    throw err;
+  }
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim() !== '') {
+      callback(line);
+    }
+  }
+}
+
+function redact(field, value) {
+  if (!redactedFields.includes(field)) {
+    return value;
+  }
+  return (value === undefined || value === '' || value === null) ? value : redactedValue;
+}
+
+/**
+ * Fields that differ between two versions of an entry, with secrets redacted (a changed key shows as changed, but
+ * not its value)
+ * @param {object | null} before - null for a creation
+ * @param {object | null} after - null for a deletion
+ * @returns {Record<string, { before: unknown, after: unknown }>}
+ */
+function diff(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    const beforeValue = before?.[field];
+    const afterValue = after?.[field];
+    if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      changes[field] = { before: redact(field, beforeValue), after: redact(field, afterValue) };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Append an entry to the log
+ * @param {{ actor: object, action: string, target?: { type: string, id: string, name?: string },
+ *   changes?: object, details?: object }} entry - `changes` as returned by diff()
+ * @returns {Promise<void>}
+ */
+function record(entry) {
+  const result = appendQueue.then(() => appendEntry(entry));
+  appendQueue = result.catch(() => {});
+  return result;
+}
+
+async function appendEntry({ actor, action, target, changes, details }) {
+  if (!auditFile) {
+    return;
+  }
+  const line = {
+    id: nextId,
+    time: Math.floor(Date.now() / 1000),
+    actor,
+    action,
+    ...target ? { target } : {},
+    ...changes && Object.keys(changes).length > 0 ? { changes } : {},
+    ...details ? { details } : {},
+  };
+  await fs.appendFile(auditFile, `${JSON.stringify(line)}\n`, { encoding: 'utf-8', mode: 0o600 });
+  nextId++;
+}
+
+/**
+ * Wait for the pending appends (e.g. before exiting)
+ * @returns {Promise<void>}
+ */
+function flush() {
+  return appendQueue;
+}
+
+/**
+ * Query the log, newest entries first
+ * @param {{ limit?: number, before?: number, action?: string, targetId?: string, userId?: string, since?: number,
+ *   until?: number }} filters - `before` is the id of the last entry of the previous page, `action` matches
+ *   exactly or as a prefix ending with "." (e.g. "server."), `since`/`until` are Unix times (inclusive)
+ * @returns {Promise<{ entries: object[], nextBefore: number | null }>} - `nextBefore` is null on the last page
+ */
+async function query({ limit = 50, before, action, targetId, userId, since, until }) {
+  const pageSize = Math.min(Math.max(1, limit), maxPageSize);
+  const matches = (entry) => (before === undefined || entry.id < before)
+    && (!action || entry.action === action || (action.endsWith('.') && entry.action.startsWith(action)))
+    && (!targetId || entry.target?.id === targetId)
+    && (!userId || entry.actor?.userId === userId)
+    && (since === undefined || entry.time >= since)
+    && (until === undefined || entry.time <= until);
+
+  // Keeps only the newest pageSize + 1 matches (the extra one tells whether there is a next page)
+  const newest = [];
+  await forEachLine((line) => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      return; // a line cut by a crash
+    }
+    if (matches(entry)) {
+      newest.push(entry);
+      if (newest.length > pageSize + 1) {
+        newest.shift();
+      }
+    }
+  });
+  const hasMore = newest.length > pageSize;
+  const entries = newest.slice(hasMore ? 1 : 0).reverse();
+  return { entries, nextBefore: hasMore ? entries[entries.length - 1].id : null };
+}
+
+module.exports = {
+  init,
+  diff,
+  record,
+  flush,
+  query,
+};
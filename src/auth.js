@@ -6,6 +6,7 @@ const keyLength = 64;
 const saltLength = 32;
 const refreshTokenExpirySeconds = 7 * 24 * 3600; // 7 days
 const maxSessions = 100;
+const maxUserAgentLength = 300;
 
 function encodeScryptParams(params) {
   // Compact and ":"-safe (third segment of the stored hash).
@@ -21,19 +22,87 @@ function decodeScryptParams(encoded) {
 }
 
 // In-memory state
-const sessionsById = new Map(); // sessionId -> { refreshTokenHash, issuedAt, refreshExpiresAt }
+// sessionId -> { userId, refreshTokenHash, issuedAt, refreshExpiresAt, lastUsedAt, userAgent, ip }
+const sessionsById = new Map();
 const sessionIdByRefreshTokenHash = new Map(); // refreshTokenHash -> sessionId
 let cleanupInterval = null;
+let onSessionsChange = () => {};
+
+function isValidStoredSession(session) {
+  return Boolean(session) && typeof session === 'object' && typeof session.id === 'string'
+    && typeof session.userId === 'string' && typeof session.refreshTokenHash === 'string'
+    && Number.isSafeInteger(session.issuedAt) && Number.isSafeInteger(session.refreshExpiresAt);
+}
 
 /**
  * Initialize auth module
+ * @param {{ sessions?: unknown[], onChange?: () => void }} [options] - `sessions` restores the sessions saved from
+ *   exportSessions() (e.g. before a restart), `onChange` is called whenever they change so that they can be saved
  */
-function initAuth() {
+function initAuth({ sessions = [], onChange = () => {} } = {}) {
+  sessionsById.clear();
+  sessionIdByRefreshTokenHash.clear();
+  for (const { id, userId, refreshTokenHash, issuedAt, refreshExpiresAt, lastUsedAt, userAgent, ip }
+    of sessions.filter(isValidStoredSession).slice(0, maxSessions)) {
+    sessionsById.set(id, {
+      userId,
+      refreshTokenHash,
+      issuedAt,
+      refreshExpiresAt,
+      lastUsedAt: lastUsedAt ?? issuedAt,
+      userAgent: userAgent ?? '',
+      ip: ip ?? '',
+    });
+    sessionIdByRefreshTokenHash.set(refreshTokenHash, id);
+  }
+  onSessionsChange = onChange;
+
   // Start cleanup interval (every 60 seconds)
   if (cleanupInterval) {
     clearInterval(cleanupInterval);
   }
   cleanupInterval = setInterval(cleanupExpiredSessions, 60000);
+  cleanupInterval.unref(); // the CLI commands load the sessions too, and must exit when they are done
+}
+
+/**
+ * All sessions, in the form accepted by initAuth() (refresh tokens are only stored as hashes)
+ * @returns {object[]}
+ */
+function exportSessions() {
+  return [...sessionsById].map(([id, session]) => ({ id, ...session }));
+}
+
+/**
+ * Sessions of a user, for the list of logged in devices
+ * @param {string} userId
+ * @returns {{ id: string, issuedAt: number, lastUsedAt: number, refreshExpiresAt: number, userAgent: string,
+ *   ip: string }[]}
+ */
+function listUserSessions(userId) {
+  cleanupExpiredSessions();
+  return [...sessionsById]
+    .filter(([, session]) => session.userId === userId)
+    .map(([id, { issuedAt, lastUsedAt, refreshExpiresAt, userAgent, ip }]) => (
+      { id, issuedAt, lastUsedAt, refreshExpiresAt, userAgent, ip }
+    ));
+}
+
+/**
+ * Get the user of a session
+ * @param {string} sessionId
+ * @returns {string | null}
+ */
+function getSessionUserId(sessionId) {
+  return sessionsById.get(sessionId)?.userId ?? null;
+}
+
+// Where a session is used from, shown in the list of logged in devices
+function getClientInfo({ userAgent, ip }) {
+  return {
+    userAgent: typeof userAgent === 'string' ? userAgent.slice(0, maxUserAgentLength) : '',
+    ip: typeof ip === 'string' ? ip : '',
+  };
 }
 
 function createRefreshToken() {
@@ -45,6 +114,15 @@ function hashRefreshToken(refreshToken) {
   return nodeCrypto.createHash('sha256').update(refreshToken, 'utf8').digest('hex');
 }
 
+function scrypt(secret, salt, length, params) {
+  return new Promise((resolve, reject) => {
+    nodeCrypto.scrypt(secret, salt, length, params, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  });
+}
+
 /**
  * Hash a password using scrypt
  * @param {string} password - The password to hash
@@ -52,12 +130,7 @@ function hashRefreshToken(refreshToken) {
  */
 async function hashPassword(password) {
   const salt = nodeCrypto.randomBytes(saltLength);
-  const derivedKey = await new Promise((resolve, reject) => {
-    nodeCrypto.scrypt(password, salt, keyLength, defaultScryptParams, (err, key) => {
-      if (err) reject(err);
-      else resolve(key);
-    });
-  });
+  const derivedKey = await scrypt(password, salt, keyLength, defaultScryptParams);
   const paramsEncoded = encodeScryptParams(defaultScryptParams);
   return `${salt.toString('hex')}:${derivedKey.toString('hex')}:${paramsEncoded}`;
 }
@@ -78,12 +151,7 @@ async function verifyPassword(password, storedHash) {
   const storedKey = Buffer.from(storedKeyHex, 'hex');
   const params = decodeScryptParams(paramsEncoded);
 
-  const derivedKey = await new Promise((resolve, reject) => {
-    nodeCrypto.scrypt(password, salt, keyLength, params, (err, key) => {
-      if (err) reject(err);
-      else resolve(key);
-    });
-  });
+  const derivedKey = await scrypt(password, salt, keyLength, params);
 
   if (derivedKey.length !== storedKey.length) {
     return false;
@@ -91,11 +159,29 @@ async function verifyPassword(password, storedHash) {
   return nodeCrypto.timingSafeEqual(derivedKey, storedKey);
 }
 
+/**
+ * Derive an encryption key from a secret using scrypt (with the same cost as password hashes)
+ * @param {string} secret - A passphrase or random secret
+ * @param {Buffer} salt
+ * @param {number} length - Key length in bytes
+ * @param {string} [paramsEncoded] - Stored "N,r,p,maxmem" parameters (defaults to the current ones)
+ * @returns {Promise<{ key: Buffer, params: string } | null>} - null if the stored parameters are invalid
+ */
+async function deriveKey(secret, salt, length, paramsEncoded = encodeScryptParams(defaultScryptParams)) {
+  const params = decodeScryptParams(paramsEncoded);
+  if (!params) {
+    return null;
+  }
+  return { key: await scrypt(secret, salt, length, params), params: paramsEncoded };
+}
+
 /**
  * Create a new session (refresh token + access token)
- * @returns {{ refreshToken: string, refreshExpiresAt: number, sessionId: string }}
+ * @param {string | null} userId - The user who logged in
+ * @param {{ userAgent?: string, ip?: string }} [client] - The device logging in
+ * @returns {{ refreshToken: string, refreshExpiresAt: number, sessionId: string, userId: string | null }}
  */
-function createSession() {
+function createSession(userId, client = {}) {
   cleanupExpiredSessions();
   if (maxSessions <= sessionsById.size) {
     return null;
@@ -107,22 +193,28 @@ function createSession() {
   const refreshToken = createRefreshToken();
   const refreshTokenHash = hashRefreshToken(refreshToken);
 
-  sessionsById.set(sessionId, { refreshTokenHash, issuedAt, refreshExpiresAt });
+  sessionsById.set(sessionId, {
+    userId, refreshTokenHash, issuedAt, refreshExpiresAt, lastUsedAt: issuedAt, ...getClientInfo(client),
+  });
   sessionIdByRefreshTokenHash.set(refreshTokenHash, sessionId);
+  onSessionsChange();
 
   return {
     refreshToken,
     refreshExpiresAt,
     sessionId,
+    userId,
   };
 }
 
 /**
  * Refresh a session using a refresh token (rotates refresh token)
  * @param {string} refreshToken - The refresh token
- * @returns {{ sessionId: string, refreshToken: string, refreshExpiresAt: number } | null}
+ * @param {{ userAgent?: string, ip?: string }} [client] - The device refreshing (its last use is recorded here, not
+ *   on every request)
+ * @returns {{ sessionId: string, userId: string | null, refreshToken: string, refreshExpiresAt: number } | null}
  */
-function refreshSession(refreshToken) {
+function refreshSession(refreshToken, client = {}) {
   if (!refreshToken || typeof refreshToken !== 'string') {
     return null;
   }
@@ -142,8 +234,7 @@ function refreshSession(refreshToken) {
   const now = Math.floor(Date.now() / 1000);
   if (session.refreshExpiresAt < now) {
     // Expired: invalidate.
-    sessionIdByRefreshTokenHash.delete(refreshTokenHash);
-    sessionsById.delete(sessionId);
+    invalidateSession(sessionId);
     return null;
   }
 
@@ -153,9 +244,12 @@ function refreshSession(refreshToken) {
   const newRefreshTokenHash = hashRefreshToken(newRefreshToken);
   session.refreshTokenHash = newRefreshTokenHash;
   sessionIdByRefreshTokenHash.set(newRefreshTokenHash, sessionId);
+  Object.assign(session, { lastUsedAt: now, ...getClientInfo(client) });
+  onSessionsChange();
 
   return {
     sessionId,
+    userId: session.userId,
     refreshToken: newRefreshToken,
     refreshExpiresAt: session.refreshExpiresAt,
   };
@@ -167,10 +261,12 @@ function refreshSession(refreshToken) {
  */
 function invalidateSession(sessionId) {
   const session = sessionsById.get(sessionId);
-  if (session && session.refreshTokenHash) {
-    sessionIdByRefreshTokenHash.delete(session.refreshTokenHash);
+  if (!session) {
+    return;
   }
+  sessionIdByRefreshTokenHash.delete(session.refreshTokenHash);
   sessionsById.delete(sessionId);
+  onSessionsChange();
 }
 
 /**
@@ -184,6 +280,20 @@ function invalidateAllSessions(exceptSessionId = null) {
     sessionsById.set(exceptSessionId, session);
     sessionIdByRefreshTokenHash.set(session.refreshTokenHash, exceptSessionId);
   }
+  onSessionsChange();
+}
+
+/**
+ * Invalidate all sessions of a user (e.g. when the user is deleted or their password changes)
+ * @param {string} userId
+ * @param {string | null} [exceptSessionId] - Keep this session (the one making the change)
+ */
+function invalidateUserSessions(userId, exceptSessionId = null) {
+  for (const [sessionId, session] of sessionsById) {
+    if (session.userId === userId && sessionId !== exceptSessionId) {
+      invalidateSession(sessionId);
+    }
+  }
 }
 
 /**
@@ -248,13 +358,18 @@ function getSessionCount() {
 
 module.exports = {
   initAuth,
+  exportSessions,
+  listUserSessions,
+  getSessionUserId,
   hashPassword,
   verifyPassword,
+  deriveKey,
   createSession,
   refreshSession,
   invalidateSession,
   invalidateSessionByRefreshToken,
   invalidateAllSessions,
+  invalidateUserSessions,
   isSessionActive,
   canCreateSession,
   cleanupExpiredSessions,
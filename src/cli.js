@@ -0,0 +1,241 @@
+// Headless commands to manage the tunnels from a terminal or a script.
+// They work on the data file while the switchboard is stopped, or through the HTTP API of a running switchboard
+// (--url, with an API token). Both backends return the servers and clients as GET /api/settings does.
+
+const { InvalidArgumentError } = require('commander');
+const entries = require('./entries');
+
+// Constants
+const requestTimeoutMs = 15000;
+
+/**
+ * Backend calling the HTTP API of a running switchboard
+ * @param {{ url: string, token?: string }} options - The token must be an API token with the "tunnels:write" scope
+ *   (or "read" for list), created by an admin for add, remove, enable, disable and export
+ */
+function createHttpBackend({ url, token }) {
+  const baseUrl = url.replace(/\/+$/, '');
+  const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...token ? { Authorization: `Bearer ${token}` } : {},
+        ...body ? { 'Content-Type': 'application/json' } : {},
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(requestTimeoutMs),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.error || `${method} ${path} failed with status ${response.status}`);
+    }
+    return result;
+  };
+
+  return {
+    list: () => request('GET', '/api/settings'),
+    addServer: (fields) => request('POST', '/api/servers', fields),
+    addClient: (fields) => request('POST', '/api/clients', fields),
+    remove: (kind, entry) => request('DELETE', `/api/${kind}s/${encodeURIComponent(entry.id)}`),
+    update: (kind, entry, changes) => {
+      const create = kind === 'server' ? entries.createServer : entries.createClient;
+      const { id, ...fields } = create(entry.id, { ...entry, ...changes });
+      return request('PATCH', `/api/${kind}s/${encodeURIComponent(id)}`, fields);
+    },
+    exportDocument: ({ includeKeys }) => request('GET', `/api/export?includeKeys=${includeKeys}`),
+    setPassword: async () => {
+      throw new Error('set-password only works on the data file: stop the switchboard and run it without --url');
+    },
+  };
+}
+
+// Server or client by id, or by name when it is unique
+function findEntry({ servers, clients }, ref) {
+  const all = [
+    ...servers.map((entry) => ({ kind: 'server', entry })),
+    ...clients.map((entry) => ({ kind: 'client', entry })),
+  ];
+  const byId = all.find(({ entry }) => entry.id === ref);
+  if (byId) {
+    return byId;
+  }
+  const byName = all.filter(({ entry }) => entry.name === ref);
+  if (byName.length > 1) {
+    throw new Error(`Several tunnels are named "${ref}", use the id instead`);
+  }
+  if (byName.length === 0) {
+    throw new Error(`No server or client with the id or name "${ref}"`);
+  }
+  return byName[0];
+}
+
+// Command output (status messages go to stderr)
+function print(text) {
+  process.stdout.write(`${text}\n`);
+}
+
+function printTable(rows) {
+  const widths = rows[0].map((_cell, column) => Math.max(...rows.map((row) => row[column].length)));
+  for (const row of rows) {
+    print(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+  }
+}
+
+function printList({ servers, clients }) {
+  const rows = [['KIND', 'ID', 'NAME', 'ADDRESS', 'STATE']];
+  for (const server of servers) {
+    rows.push([
+      'server', server.id, server.name, `${server.host}:${server.port}`,
+      server.state || (server.enabled ? 'enabled' : 'disabled'),
+    ]);
+  }
+  for (const client of clients) {
+    rows.push([
+      'client', client.id, client.name, client.host ? `${client.host}:${client.port}` : `port ${client.port}`,
+      client.state || (client.enabled ? 'enabled' : 'disabled'),
+    ]);
+  }
+  printTable(rows);
+}
+
+function parsePort(value) {
+  const port = Number(value);
+  if (!Number.isInteger(port)) {
+    throw new InvalidArgumentError('Not a port number.');
+  }
+  return port;
+}
+
+// Clients can also get a free port allocated
+function parseClientPort(value) {
+  return value === 'auto' ? value : parsePort(value);
+}
+
+function collect(value, previous) {
+  return [...previous, value];
+}
+
+/**
+ * Add the tunnel management commands to the CLI
+ * @param {import('commander').Command} program
+ * @param {{ openFileBackend: (options: object) => Promise<object> }} backends - Opens the data file backend, see
+ *   createHttpBackend() for the methods it must have
+ */
+function addCommands(program, { openFileBackend }) {
+  // Every command gets the backend, its arguments and its options (including the global ones)
+  const run = (handler) => async (...args) => {
+    const command = args.pop();
+    args.pop(); // the command's own options, also in optsWithGlobals()
+    const options = command.optsWithGlobals();
+    try {
+      const url = options.url || process.env.HSSB_URL;
+      const backend = url
+        ? createHttpBackend({ url, token: options.token || process.env.HSSB_TOKEN })
+        : await openFileBackend(options);
+      await handler(backend, options, ...args);
+    } catch (err) {
+      console.error(err.message || err);
+      process.exitCode = 1;
+    }
+  };
+  const addCommand = (name, description) => program
+    .command(name)
+    .description(description)
+    .option('--url <url>', 'URL of a running switchboard to manage through its API (overrides HSSB_URL)')
+    .option('--token <token>', 'API token for --url (overrides HSSB_TOKEN)')
+    .option('--json', 'Print the result as JSON');
+  const addEntryOptions = (command) => command
+    .option('--name <name>', 'Name', '')
+    .option('--description <text>', 'Description', '')
+    .option('--tag <tag>', 'Tag (repeat for several tags)', collect, [])
+    .option('--disabled', 'Create the tunnel disabled');
+
+  addCommand('list', 'List the servers and clients')
+    .action(run(async (backend, options) => {
+      const { servers, clients } = await backend.list();
+      if (options.json) {
+        print(JSON.stringify({ servers, clients }, null, 2));
+      } else {
+        printList({ servers, clients });
+      }
+    }));
+
+  // Ports and hosts are arguments: --port and --host are the options of the web dashboard
+  addEntryOptions(addCommand('add-server', 'Add a server, exposing a local service')
+    .argument('<port>', 'Port of the local service', parsePort)
+    .argument('[host]', 'Host of the local service', '127.0.0.1')
+    .option('--key <key>', 'Server key (random by default)')
+    .option('--secure', 'Use secure mode')
+    .option('--allow-peer <public-key>', 'Only accept this client (repeat for several clients)', collect, []))
+    .action(run(async (backend, options, port, host) => {
+      const { id } = await backend.addServer({
+        host,
+        port,
+        ...options.key ? { key: options.key } : {},
+        secure: Boolean(options.secure),
+        allowedPeers: options.allowPeer,
+        enabled: !options.disabled,
+        name: options.name,
+        description: options.description,
+        tags: options.tag,
+      });
+      print(options.json ? JSON.stringify({ id }) : id);
+    }));
+
+  addEntryOptions(addCommand('add-client', 'Add a client, connecting to a remote server')
+    .argument('<hs-url>', 'HS URL of the server to connect to')
+    .argument('<port>', 'Local port to listen on, or "auto" for a free one', parseClientPort)
+    .option('--bind-host <address>', 'Local address to listen on (the default client host by default)')
+    .option('--own-key-pair', 'Connect to a secure server with the key pair of the client, for its allowlist'))
+    .action(run(async (backend, options, key, port) => {
+      const { id, port: allocatedPort } = await backend.addClient({
+        key,
+        port,
+        host: options.bindHost ?? '',
+        ownKeyPair: Boolean(options.ownKeyPair),
+        enabled: !options.disabled,
+        name: options.name,
+        description: options.description,
+        tags: options.tag,
+      });
+      print(options.json ? JSON.stringify({ id, port: allocatedPort }) : id);
+    }));
+
+  addCommand('remove', 'Remove a server or client')
+    .argument('<id-or-name>')
+    .action(run(async (backend, options, ref) => {
+      const { kind, entry } = findEntry(await backend.list(), ref);
+      await backend.remove(kind, entry);
+      print(options.json ? JSON.stringify({ kind, id: entry.id }) : `Removed ${kind} ${entry.id}`);
+    }));
+
+  for (const enabled of [true, false]) {
+    const name = enabled ? 'enable' : 'disable';
+    addCommand(name, `${enabled ? 'Enable' : 'Disable'} a server or client`)
+      .argument('<id-or-name>')
+      .action(run(async (backend, options, ref) => {
+        const { kind, entry } = findEntry(await backend.list(), ref);
+        await backend.update(kind, entry, { enabled });
+        print(options.json ? JSON.stringify({ kind, id: entry.id, enabled }) : `${kind} ${entry.id} ${name}d`);
+      }));
+  }
+
+  addCommand('set-password', 'Set the password of a user (creating an admin user when there is none)')
+    .option('--username <username>', 'User whose password to set', 'admin')
+    .option('--password-stdin', 'Read the password from the standard input instead of prompting for it')
+    .action(run(async (backend, options) => {
+      await backend.setPassword(options.username, { fromStdin: Boolean(options.passwordStdin) });
+      print(options.json ? JSON.stringify({ username: options.username }) : 'Password set');
+    }));
+
+  addCommand('export', 'Print the servers and clients as an export document (see Import / Export)')
+    .option('--include-keys', 'Include the keys (anyone with the document can then connect to the tunnels)')
+    .action(run(async (backend, options) => {
+      const document = await backend.exportDocument({ includeKeys: Boolean(options.includeKeys) });
+      print(JSON.stringify(document, null, 2));
+    }));
+}
+
+module.exports = {
+  addCommands,
+};
@@ -0,0 +1,159 @@
+// Declarative configuration file (--config): the servers and clients it declares are created, updated and removed
+// to match it, and can't be changed from the dashboard or the API anymore. Entries added from the dashboard are kept.
+// The file is YAML (or JSON when its name ends with ".json"):
+//
+//   servers:
+//     - id: web           # required, any unique string: entries are matched by id
+//       port: 8080
+//       host: 127.0.0.1   # default
+//       key: sk_...       # optional, generated once (and kept in the data file) when missing
+//       secure: false     # default
+//       allowedPeers:     # optional, public keys of the only clients allowed to connect
+//         - tkrq8zmwb8a3m9k15csu3q17qmfgqnp9dskbrg9uq1rydpyxp7qy
+//   clients:
+//     - id: db
+//       key: hs://...
+//       port: 5432
+//       host: 0.0.0.0     # optional, the default client host (HSSB_CLIENT_HOST) when missing
+//       ownKeyPair: false # default, true for a secure mode client to connect with its own key pair
+//
+// Every entry also accepts enabled (default true), name, description, tags and restartPolicy, as in the API.
+
+const fs = require('fs/promises');
+const path = require('path');
+const yaml = require('js-yaml');
+const entries = require('./entries');
+const transfer = require('./transfer');
+
+// Constants
+const serverFields = [
+  'id', 'host', 'port', 'key', 'secure', 'allowedPeers', 'enabled', 'name', 'description', 'tags', 'restartPolicy',
+];
+const clientFields = [
+  'id', 'key', 'port', 'host', 'ownKeyPair', 'enabled', 'name', 'description', 'tags', 'restartPolicy',
+];
+
+/**
+ * Read and parse the file
+ * @param {string} file
+ * @returns {Promise<unknown>}
+ */
+async function read(file) {
+  const text = await fs.readFile(file, 'utf-8');
+  const isJson = path.extname(file).toLowerCase() === '.json';
+  let config;
+  try {
+    // The core schema only has the JSON types: no dates or other surprises
+    config = isJson ? JSON.parse(text) : yaml.load(text, { schema: yaml.CORE_SCHEMA, filename: file });
+  } catch (err) {
+    throw new Error(`Invalid ${isJson ? 'JSON' : 'YAML'}: ${err.message}`);
+  }
+  if (config === undefined || config === null) {
+    // Rather than removing every declared entry because of a truncated file: "servers: []" does that
+    throw new Error('The file is empty');
+  }
+  return config;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Label of an entry in the error messages, e.g. `Server "web"` or `Client 2`
+function getLabel(kind, index, entry) {
+  const label = kind === 'servers' ? 'Server' : 'Client';
+  return (typeof entry?.id === 'string' && entry.id) ? `${label} "${entry.id}"` : `${label} ${index + 1}`;
+}
+
+function getStructureError(config) {
+  if (!isPlainObject(config)) {
+    return 'The file must contain an object with "servers" and "clients" lists';
+  }
+  const unknownKey = Object.keys(config).find((key) => key !== 'servers' && key !== 'clients');
+  if (unknownKey) {
+    return `Unknown setting "${unknownKey}" (only "servers" and "clients" can be declared)`;
+  }
+  const seenIds = new Set();
+  for (const [kind, fields] of [['servers', serverFields], ['clients', clientFields]]) {
+    if (config[kind] !== undefined && !Array.isArray(config[kind])) {
+      return `"${kind}" must be a list`;
+    }
+    for (const [index, entry] of (config[kind] ?? []).entries()) {
+      const label = getLabel(kind, index, entry);
+      if (!isPlainObject(entry)) {
+        return `${label}: Must be an object`;
+      }
+      const unknownField = Object.keys(entry).find((field) => !fields.includes(field));
+      if (unknownField) {
+        return `${label}: Unknown field "${unknownField}"`;
+      }
+      if (typeof entry.id !== 'string' || !entry.id || entry.id.length > 100) {
+        return `${label}: Id must be a non-empty string of at most 100 characters`;
+      }
+      if (seenIds.has(entry.id)) {
+        return `${label}: Duplicate id`;
+      }
+      seenIds.add(entry.id);
+    }
+  }
+  return null;
+}
+
+/**
+ * Compute the changes that bring the servers and clients to the declared state, without changing anything
+ * The entries declared by a previous version of the file are removed when it doesn't declare them anymore.
+ * @param {unknown} config - As returned by read()
+ * @param {{ servers: object[], clients: object[] }} current - The entries currently in use
+ * @param {Set<string>} previousIds - Ids declared by the previously applied version of the file
+ * @returns {{ plan: { servers: object, clients: object }, declaredIds: Set<string> } | { error: string }} - `plan`
+ *   as returned by transfer.planReload()
+ */
+function plan(config, current, previousIds) {
+  const structureError = getStructureError(config);
+  if (structureError) {
+    return { error: structureError };
+  }
+  const declared = {
+    servers: (config.servers ?? []).map((server) => {
+      const previous = current.servers.find((candidate) => candidate.id === server.id);
+      return entries.withDefaults({
+        host: '127.0.0.1',
+        secure: false,
+        enabled: true,
+        ...server,
+        key: server.key ?? previous?.key ?? entries.generateServerKey(),
+      });
+    }),
+    clients: (config.clients ?? []).map((client) => entries.withDefaults({ enabled: true, ...client })),
+  };
+  const declaredIds = new Set([...declared.servers, ...declared.clients].map(({ id }) => id));
+
+  for (const [kind, getError] of [['servers', entries.getServerError], ['clients', entries.getClientError]]) {
+    for (const [index, entry] of declared[kind].entries()) {
+      const validationError = getError(entry);
+      if (validationError) {
+        return { error: `${getLabel(kind, index, entry)}: ${validationError}` };
+      }
+      const otherKind = kind === 'servers' ? 'clients' : 'servers';
+      if (current[otherKind].some((other) => other.id === entry.id)) {
+        return { error: `${getLabel(kind, index, entry)}: Id already used by one of the ${otherKind}` };
+      }
+    }
+  }
+
+  // The entries added from the dashboard are part of the desired state as they are, so that they are kept
+  const isKept = ({ id }) => !declaredIds.has(id) && !previousIds.has(id);
+  const result = transfer.planReload({
+    servers: [...current.servers.filter(isKept), ...declared.servers],
+    clients: [...current.clients.filter(isKept), ...declared.clients],
+  }, current, { fixedClientPorts: null });
+  if (result.error) {
+    return result;
+  }
+  return { plan: result, declaredIds };
+}
+
+module.exports = {
+  read,
+  plan,
+};
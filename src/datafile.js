@@ -0,0 +1,179 @@
+// Crash-safe reading and writing of the data file.
+// A write goes to a temporary file that is fsynced and then renamed over the data file, so the data file is always
+// either the previous or the new version. The previous version is kept as a timestamped backup next to it.
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodeCrypto = require('crypto');
+
+// In-memory state
+let writeQueue = Promise.resolve(); // writes are serialized so that the newest content always wins
+
+// Sortable and safe in file names on every platform
+function getTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+function getBackupPrefix(file) {
+  return `${path.basename(file)}.backup-`;
+}
+
+function getCorruptedPrefix(file) {
+  return `${path.basename(file)}.corrupted-`;
+}
+
+// Paths of the backups of a data file, newest first
+async function listBackups(file) {
+  const prefix = getBackupPrefix(file);
+  const names = await fs.readdir(path.dirname(file)).catch(() => []);
+  return names
+    .filter((name) => name.startsWith(prefix) && name.endsWith('.json'))
+    .sort()
+    .reverse()
+    .map((name) => path.join(path.dirname(file), name));
+}
+
+function parse(content) {
+  const data = JSON.parse(content);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Data file must contain a JSON object');
+  }
+  return data;
+}
+
+/**
+ * Read and parse the data file, falling back to the newest valid backup if it is corrupted
+ * @param {string} file - Path to the data file
+ * @param {{ recover?: boolean }} [options] - Without recovery, a corrupted file throws right away
+ * @returns {Promise<{ data: object, recoveredFrom: string | null } | null>} - null if the file doesn't exist
+ * @throws if the file is corrupted and no backup is valid
+ */
+async function read(file, { recover = true } = {}) {
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf-8');
+  } catch (err) {
+    if (err?.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+  let parseError;
+  try {
+    return { data: parse(content), recoveredFrom: null };
+  } catch (err) {
+    if (!recover) {
+      throw err;
+    }
+    parseError = err;
+  }
+
+  for (const backup of await listBackups(file)) {
+    let data;
+    try {
+      data = parse(await fs.readFile(backup, 'utf-8'));
+    } catch {
+      continue;
+    }
+    return { data, recoveredFrom: backup };
+  }
+  throw new Error(`Data file is corrupted and there is no valid backup to recover from (${parseError.message})`);
+}
+
+/**
+ * Move a corrupted data file aside (once it has been recovered), so that it can be inspected
+ * @param {string} file - Path to the data file
+ * @returns {Promise<string>} - The new path
+ */
+async function moveAside(file) {
+  const corruptedFile = path.join(path.dirname(file), `${getCorruptedPrefix(file)}${getTimestamp()}`);
+  await fs.rename(file, corruptedFile);
+  return corruptedFile;
+}
+
+/**
+ * Delete the backups and the corrupted copies of a data file (e.g. once it is rewritten in another format, which
+ * they would still be in)
+ * @param {string} file - Path to the data file
+ * @returns {Promise<number>} - The number of deleted files
+ */
+async function removeCopies(file) {
+  const corruptedPrefix = getCorruptedPrefix(file);
+  const names = await fs.readdir(path.dirname(file)).catch(() => []);
+  const copies = [
+    ...await listBackups(file),
+    ...names.filter((name) => name.startsWith(corruptedPrefix)).map((name) => path.join(path.dirname(file), name)),
+  ];
+  for (const copy of copies) {
+    await fs.rm(copy, { force: true });
+  }
+  return copies.length;
+}
+
+// Makes the rename durable. Directories can't be opened on Windows, where this is skipped.
+async function syncDirectory(directory) {
+  let handle = null;
+  try {
+    handle = await fs.open(directory, 'r');
+    await handle.sync();
+  } catch {
+    // best effort
+  } finally {
+    await handle?.close();
+  }
+}
+
+async function backup(file, maxBackups) {
+  try {
+    await fs.copyFile(file, path.join(path.dirname(file), `${getBackupPrefix(file)}${getTimestamp()}.json`));
+  } catch (err) {
+    if (err?.code === 'ENOENT') {
+      return; // first write
+    }
+    throw err;
+  }
+  for (const oldBackup of (await listBackups(file)).slice(maxBackups)) {
+    await fs.rm(oldBackup, { force: true });
+  }
+}
+
+async function writeNow(file, content, { maxBackups }) {
+  const tempFile = `${file}.tmp-${process.pid}-${nodeCrypto.randomBytes(4).toString('hex')}`;
+  try {
+    const handle = await fs.open(tempFile, 'w', 0o600);
+    try {
+      await handle.writeFile(content, 'utf-8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    if (maxBackups > 0) {
+      await backup(file, maxBackups);
+    }
+    await fs.rename(tempFile, file);
+  } catch (err) {
+    await fs.rm(tempFile, { force: true });
+    throw err;
+  }
+  await syncDirectory(path.dirname(file));
+}
+
+/**
+ * Atomically replace the data file, after backing up its previous version
+ * @param {string} file - Path to the data file
+ * @param {string} content
+ * @param {{ maxBackups: number }} options - Number of backups to keep (0 disables backups)
+ * @returns {Promise<void>}
+ */
+function write(file, content, options) {
+  const result = writeQueue.then(() => writeNow(file, content, options));
+  writeQueue = result.catch(() => {});
+  return result;
+}
+
+module.exports = {
+  read,
+  moveAside,
+  removeCopies,
+  write,
+};
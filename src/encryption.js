@@ -0,0 +1,99 @@
+// Encryption at rest of the tunnel keys (server keys and client HS URLs) in the data file.
+// Keys are sealed with AES-256-GCM using a key derived from a master secret, and only ever decrypted in memory.
+// The data file stores the derivation parameters and a sealed known value used to detect a wrong secret.
+
+const nodeCrypto = require('crypto');
+const auth = require('./auth');
+
+// Constants
+const algorithm = 'aes-256-gcm';
+const keyLength = 32;
+const saltLength = 16;
+const ivLength = 12;
+const sealedPrefix = 'enc:v1:';
+const verifierPlaintext = 'holesail-switchboard';
+
+/**
+ * Whether a stored value was produced by seal()
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isSealed(value) {
+  return typeof value === 'string' && value.startsWith(sealedPrefix);
+}
+
+/**
+ * Encrypt a value
+ * @param {Buffer} key - As returned by createDataKey() or openDataKey()
+ * @param {string} plaintext
+ * @returns {string} - "enc:v1:iv:authTag:ciphertext" (base64url segments)
+ */
+function seal(key, plaintext) {
+  const iv = nodeCrypto.randomBytes(ivLength);
+  const cipher = nodeCrypto.createCipheriv(algorithm, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return `${sealedPrefix}${[iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64url')).join(':')}`;
+}
+
+/**
+ * Decrypt a value produced by seal()
+ * @param {Buffer} key
+ * @param {string} sealed
+ * @returns {string}
+ * @throws if the value was sealed with another key or has been tampered with
+ */
+function unseal(key, sealed) {
+  const [iv, authTag, ciphertext] = sealed.slice(sealedPrefix.length).split(':')
+    .map((part) => Buffer.from(part, 'base64url'));
+  if (!iv || !authTag || !ciphertext) {
+    throw new Error('Malformed encrypted value');
+  }
+  const decipher = nodeCrypto.createDecipheriv(algorithm, key, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Derive a new data key from a secret
+ * @param {string} secret - HSSB_DATA_KEY or a master passphrase
+ * @returns {Promise<{ key: Buffer, header: { salt: string, params: string, verifier: string } }>} - The header
+ *   is stored in the data file (it doesn't reveal anything about the secret)
+ */
+async function createDataKey(secret) {
+  const salt = nodeCrypto.randomBytes(saltLength);
+  const { key, params } = await auth.deriveKey(secret, salt, keyLength);
+  return {
+    key,
+    header: { salt: salt.toString('hex'), params, verifier: seal(key, verifierPlaintext) },
+  };
+}
+
+/**
+ * Derive the data key of an existing data file
+ * @param {string} secret - HSSB_DATA_KEY or a master passphrase
+ * @param {unknown} header - As stored in the data file by createDataKey()
+ * @returns {Promise<Buffer | null>} - null if the secret is wrong
+ * @throws if the header is invalid
+ */
+async function openDataKey(secret, header) {
+  if (!header || typeof header.salt !== 'string' || typeof header.params !== 'string' || !isSealed(header.verifier)) {
+    throw new Error('Invalid encryption parameters in data file');
+  }
+  const derived = await auth.deriveKey(secret, Buffer.from(header.salt, 'hex'), keyLength, header.params);
+  if (!derived) {
+    throw new Error('Invalid encryption parameters in data file');
+  }
+  try {
+    return unseal(derived.key, header.verifier) === verifierPlaintext ? derived.key : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  isSealed,
+  seal,
+  unseal,
+  createDataKey,
+  openDataKey,
+};
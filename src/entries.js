@@ -0,0 +1,228 @@
+// Validation and normalization of stored server and client entries.
+// Shared by the API routes and the configuration import, so that both accept exactly the same entries.
+
+const nodeCrypto = require('crypto');
+const supervisor = require('./supervisor');
+const peers = require('./peers');
+
+function isValidServerKey(key) {
+  // See: https://github.com/holesail/holesail/issues/64
+  return typeof key === 'string' && (
+    (key === '') || (64 <= key.length && key.length <= 1000 && key[5] !== 's')
+  );
+}
+
+// 32 random bytes as hex, with the same "sk_" prefix the dashboard always used (so key[5] is never 's')
+function generateServerKey() {
+  return `sk_${nodeCrypto.randomBytes(32).toString('hex')}`;
+}
+
+function isValidClientKey(key) {
+  return typeof key === 'string' && ((key === '') || key.startsWith('hs://'));
+}
+
+function isValidPort(port) {
+  return typeof port === 'number' && Number.isInteger(port) && port >= 0 && port <= 65535;
+}
+
+function isValidHost(host) {
+  return typeof host === 'string' && host.length <= 255;
+}
+
+function isValidName(name) {
+  return typeof name === 'string' && name.length <= 100;
+}
+
+function isValidDescription(description) {
+  return typeof description === 'string' && description.length <= 1000;
+}
+
+function isValidTags(tags) {
+  return Array.isArray(tags) && tags.length <= 20 && tags.every(
+    (tag) => typeof tag === 'string' && tag.trim() !== '' && tag.length <= 50
+  );
+}
+
+function normalizeTags(tags) {
+  return [...new Set(tags.map((tag) => tag.trim()))];
+}
+
+// Errors of the fields servers and clients have in common
+function getMetadataError({ enabled, name, description, tags, restartPolicy }) {
+  if (typeof enabled !== 'boolean') {
+    return 'Enabled must be a boolean';
+  }
+  if (!isValidName(name)) {
+    return 'Name must be a string of at most 100 characters';
+  }
+  if (!isValidDescription(description)) {
+    return 'Description must be a string of at most 1000 characters';
+  }
+  if (!isValidTags(tags)) {
+    return 'Tags must be at most 20 non-empty strings of up to 50 characters';
+  }
+  if (!supervisor.isValidRestartPolicy(restartPolicy)) {
+    return 'Invalid restart policy';
+  }
+  return null;
+}
+
+/**
+ * Validate the fields of a server entry
+ * @param {object} server - host, port, key, secure, allowedPeers (optional), enabled, name, description, tags and
+ *   restartPolicy
+ * @returns {string | null} - A message describing the first invalid field, or null if the entry is valid
+ */
+function getServerError(server) {
+  const { host, port, key, secure, allowedPeers = [], enabled } = server;
+  if (!isValidHost(host)) {
+    return 'Invalid host';
+  }
+  if (!isValidPort(port)) {
+    return 'Invalid port';
+  }
+  if (!isValidServerKey(key)) {
+    return 'Key must be a string of at least 64 characters';
+  }
+  if (typeof secure !== 'boolean') {
+    return 'Secure must be a boolean';
+  }
+  if (!peers.isValidPeerList(allowedPeers)) {
+    return `Allowed peers must be a list of at most ${peers.maxAllowedPeers} public keys`;
+  }
+  const metadataError = getMetadataError(server);
+  if (metadataError) {
+    return metadataError;
+  }
+  if (enabled) {
+    if (key === '') {
+      return 'Key is required when server is enabled';
+    }
+    if (host === '') {
+      return 'Host is required when server is enabled';
+    }
+    if (port === 0) {
+      return 'Port is required when server is enabled';
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate the fields of a client entry
+ * @param {object} client - key, port, host (optional), ownKeyPair (optional), enabled, name, description, tags and
+ *   restartPolicy
+ * @returns {string | null} - A message describing the first invalid field, or null if the entry is valid
+ */
+function getClientError(client) {
+  const { key, port, host = '', ownKeyPair = false, enabled } = client;
+  if (!isValidClientKey(key)) {
+    return 'Key must be a valid HS URL';
+  }
+  if (!isValidPort(port)) {
+    return 'Invalid port';
+  }
+  if (!isValidHost(host)) {
+    return 'Invalid host';
+  }
+  if (typeof ownKeyPair !== 'boolean') {
+    return 'Own key pair must be a boolean';
+  }
+  const metadataError = getMetadataError(client);
+  if (metadataError) {
+    return metadataError;
+  }
+  if (enabled) {
+    if (key === '') {
+      return 'HS URL is required when client is enabled';
+    }
+    if (port === 0) {
+      return 'Port is required when client is enabled';
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a stored server entry from (valid) fields, dropping anything unknown
+ * @param {string} id
+ * @param {object} server - Fields accepted by getServerError(), `allowedPeers` is empty to accept every peer
+ */
+function createServer(id, {
+  host, port, key, secure, allowedPeers = [], enabled, name, description, tags, restartPolicy,
+}) {
+  return {
+    id,
+    name,
+    description,
+    tags: normalizeTags(tags),
+    restartPolicy: supervisor.normalizeRestartPolicy(restartPolicy),
+    host,
+    port,
+    key,
+    secure,
+    allowedPeers: [...new Set(allowedPeers)],
+    enabled,
+  };
+}
+
+/**
+ * Build a stored client entry from (valid) fields, dropping anything unknown
+ * @param {string} id
+ * @param {object} client - Fields accepted by getClientError(), `host` is empty to bind to the default client host,
+ *   `ownKeyPair` makes a secure mode client connect with its own key pair (see peers.js)
+ */
+function createClient(id, {
+  key, port, host = '', ownKeyPair = false, enabled, name, description, tags, restartPolicy,
+}) {
+  return {
+    id,
+    name,
+    description,
+    tags: normalizeTags(tags),
+    restartPolicy: supervisor.normalizeRestartPolicy(restartPolicy),
+    key,
+    port,
+    host,
+    ownKeyPair,
+    enabled,
+  };
+}
+
+// Entries saved before names/descriptions/tags and restart policies existed don't have these fields
+function withDefaults(entry) {
+  return { name: '', description: '', tags: [], restartPolicy: supervisor.getDefaultRestartPolicy(), ...entry };
+}
+
+/**
+ * Entry of the data file with its metadata fields replaced by the defaults when they are missing or invalid
+ * The data file isn't validated when it's loaded, and a hand-edited `tags: null` would break listing and filtering.
+ * @param {object} entry - A stored server or client entry
+ * @returns {object}
+ */
+function withValidMetadata(entry) {
+  const defaults = withDefaults({});
+  return {
+    ...entry,
+    name: isValidName(entry.name) ? entry.name : defaults.name,
+    description: isValidDescription(entry.description) ? entry.description : defaults.description,
+    tags: isValidTags(entry.tags) ? normalizeTags(entry.tags) : defaults.tags,
+    restartPolicy: supervisor.isValidRestartPolicy(entry.restartPolicy)
+      ? supervisor.normalizeRestartPolicy(entry.restartPolicy)
+      : defaults.restartPolicy,
+  };
+}
+
+module.exports = {
+  isValidServerKey,
+  generateServerKey,
+  isValidClientKey,
+  isValidPort,
+  isValidHost,
+  getServerError,
+  getClientError,
+  createServer,
+  createClient,
+  withDefaults,
+  withValidMetadata,
+};
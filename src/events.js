@@ -0,0 +1,119 @@
+// Server-Sent Events broadcasting of tunnel changes to connected dashboards.
+
+// Constants
+const heartbeatIntervalMs = 25 * 1000; // keeps proxies from closing idle streams
+const retryMs = 5000; // reconnection delay suggested to EventSource-style clients
+const maxSubscribers = 100;
+const maxTimeoutMs = 2 ** 31 - 1; // setTimeout() fires right away beyond this (about 24.8 days)
+
+// In-memory state
+const subscribers = new Set(); // { stream, sessionId, transform, heartbeatInterval, expiryTimeout }
+let nextEventId = 1;
+
+// API tokens can expire months away: wait in steps no longer than setTimeout() allows
+function armExpiry(subscriber, expiresAt) {
+  const delayMs = Math.max(0, expiresAt * 1000 - Date.now());
+  subscriber.expiryTimeout = setTimeout(
+    () => (delayMs > maxTimeoutMs ? armExpiry(subscriber, expiresAt) : closeSubscriber(subscriber)),
+    Math.min(delayMs, maxTimeoutMs),
+  );
+}
+
+function closeSubscriber(subscriber) {
+  if (!subscribers.delete(subscriber)) {
+    return;
+  }
+  clearInterval(subscriber.heartbeatInterval);
+  if (subscriber.expiryTimeout) {
+    clearTimeout(subscriber.expiryTimeout);
+  }
+  subscriber.stream.end();
+}
+
+/**
+ * Stream events to an HTTP response until it closes
+ * @param {import('http').ServerResponse} stream - The raw response (already hijacked from fastify)
+ * @param {{ expiresAt?: number, sessionId?: string, transform?: (data: object) => object | null }} [options] -
+ *   `expiresAt` is the Unix time (seconds) at which the stream is closed, e.g. when the access token used to open it
+ *   expires. The client is expected to reconnect with a fresh token. `sessionId` is the login session that opened it,
+ *   see closeSession(). `transform` adapts the payloads sent to this subscriber only, or returns null to skip an event.
+ * @returns {boolean} - false if there are too many subscribers
+ */
+function subscribe(stream, { expiresAt, sessionId, transform } = {}) {
+  if (maxSubscribers <= subscribers.size) {
+    return false;
+  }
+  stream.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  stream.write(`retry: ${retryMs}\n\n`);
+
+  const subscriber = {
+    stream,
+    sessionId: sessionId || null,
+    transform: transform || null,
+    heartbeatInterval: setInterval(() => stream.write(': heartbeat\n\n'), heartbeatIntervalMs),
+    expiryTimeout: null,
+  };
+  if (expiresAt) {
+    armExpiry(subscriber, expiresAt);
+  }
+  subscribers.add(subscriber);
+  stream.on('close', () => closeSubscriber(subscriber));
+  return true;
+}
+
+/**
+ * Send an event to all subscribers
+ * @param {string} type - Event type, e.g. "server.created"
+ * @param {object} data - JSON-serializable payload
+ */
+function publish(type, data) {
+  if (subscribers.size === 0) {
+    return;
+  }
+  const id = nextEventId++;
+  const formatMessage = (payload) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+  const message = formatMessage(data);
+  for (const subscriber of subscribers) {
+    if (!subscriber.transform) {
+      subscriber.stream.write(message);
+      continue;
+    }
+    const payload = subscriber.transform(data);
+    if (payload !== null) {
+      subscriber.stream.write(formatMessage(payload));
+    }
+  }
+}
+
+/**
+ * Close all streams (e.g. when the password changes, so that every dashboard re-authenticates)
+ */
+function closeAll() {
+  for (const subscriber of [...subscribers]) {
+    closeSubscriber(subscriber);
+  }
+}
+
+/**
+ * Close the streams opened with a login session (e.g. when it is revoked)
+ * @param {string} sessionId
+ */
+function closeSession(sessionId) {
+  for (const subscriber of [...subscribers]) {
+    if (subscriber.sessionId === sessionId) {
+      closeSubscriber(subscriber);
+    }
+  }
+}
+
+module.exports = {
+  subscribe,
+  publish,
+  closeAll,
+  closeSession,
+};
@@ -0,0 +1,130 @@
+// Throttling of login attempts, against online password guessing.
+// Failures are counted per IP, and globally for guessing spread over many IPs. After a few free failures, every
+// failure delays the next attempt of the IP exponentially, and too many failures lock the IP out for a while. Past the
+// global threshold, every failure delays the next attempt of everyone exponentially too, but never locks them out:
+// anyone could otherwise keep every user from logging in.
+// All the requests tunneled by Holesail come from the same IP, see the trustProxy option of the server.
+
+// Constants
+const freeAttempts = 3; // failures without delay (typos)
+const maxDelaySeconds = 60; // progressive delay cap, before the lockout
+const maxTrackedIps = 10000;
+const defaultOptions = { maxAttempts: 10, lockoutSeconds: 15 * 60, globalMaxAttempts: 100 };
+
+// In-memory state
+let options = { ...defaultOptions };
+// ip -> { failures, lastFailureAt, blockedUntil, failureTimes } (ms), least recently failed first. `failureTimes` are
+// the entries of the IP in globalFailureTimes.
+const stateByIp = new Map();
+let globalFailureTimes = []; // ms, oldest first, within the last lockoutSeconds
+
+/**
+ * Set the limits (defaults: 10 failures per IP, 15 minutes lockout, 100 failures globally)
+ * @param {{ maxAttempts?: number, lockoutSeconds?: number, globalMaxAttempts?: number }} newOptions - Failures
+ *   per IP before its lockout, duration of the lockout (also how long failures are remembered), and failures of all
+ *   IPs within that duration after which every failure delays the next attempt of everyone
+ */
+function configure({ maxAttempts, lockoutSeconds, globalMaxAttempts }) {
+  options = {
+    maxAttempts: maxAttempts ?? defaultOptions.maxAttempts,
+    lockoutSeconds: lockoutSeconds ?? defaultOptions.lockoutSeconds,
+    globalMaxAttempts: globalMaxAttempts ?? defaultOptions.globalMaxAttempts,
+  };
+}
+
+function cleanup(now) {
+  const windowMs = options.lockoutSeconds * 1000;
+  globalFailureTimes = globalFailureTimes.filter((time) => now - time < windowMs);
+  for (const [ip, state] of stateByIp) {
+    if (now - state.lastFailureAt < windowMs && stateByIp.size <= maxTrackedIps) {
+      break; // the rest failed more recently
+    }
+    stateByIp.delete(ip);
+  }
+}
+
+function isGloballyThrottled() {
+  return globalFailureTimes.length >= options.globalMaxAttempts;
+}
+
+function getRetryAfterSeconds(ip, now) {
+  let blockedUntil = stateByIp.get(ip)?.blockedUntil ?? 0;
+  if (isGloballyThrottled()) {
+    const excess = globalFailureTimes.length - options.globalMaxAttempts;
+    const delaySeconds = Math.min(maxDelaySeconds, 2 ** excess);
+    blockedUntil = Math.max(blockedUntil, globalFailureTimes[globalFailureTimes.length - 1] + delaySeconds * 1000);
+  }
+  return Math.max(0, Math.ceil((blockedUntil - now) / 1000));
+}
+
+/**
+ * Check whether an IP may attempt to log in, and count the attempt as failed until recordSuccess() (so that
+ * concurrent attempts are counted too)
+ * @param {string} ip
+ * @returns {number} - 0 if the attempt may proceed, otherwise the number of seconds to wait (for Retry-After)
+ */
+function beginAttempt(ip) {
+  const now = Date.now();
+  cleanup(now);
+  const retryAfterSeconds = getRetryAfterSeconds(ip, now);
+  if (retryAfterSeconds > 0) {
+    return retryAfterSeconds;
+  }
+
+  const state = stateByIp.get(ip) ?? { failures: 0, lastFailureAt: 0, blockedUntil: 0, failureTimes: [] };
+  state.failures++;
+  state.lastFailureAt = now;
+  state.failureTimes.push(now);
+  if (state.failures >= options.maxAttempts) {
+    state.blockedUntil = now + options.lockoutSeconds * 1000;
+  } else if (state.failures > freeAttempts) {
+    state.blockedUntil = now + Math.min(maxDelaySeconds, 2 ** (state.failures - freeAttempts - 1)) * 1000;
+  }
+  stateByIp.delete(ip); // moved last
+  stateByIp.set(ip, state);
+  globalFailureTimes.push(now);
+  return 0;
+}
+
+/**
+ * Forget the failures of an IP after a successful login, including the attempts of the login itself (two of them
+ * with two-factor authentication)
+ * @param {string} ip
+ */
+function recordSuccess(ip) {
+  const state = stateByIp.get(ip);
+  if (!state) {
+    return;
+  }
+  stateByIp.delete(ip);
+  // Only the entries of this IP, rather than the newest failures, which may be other IPs'
+  for (const time of state.failureTimes) {
+    const index = globalFailureTimes.lastIndexOf(time);
+    if (index !== -1) {
+      globalFailureTimes.splice(index, 1);
+    }
+  }
+}
+
+/**
+ * Throttling status of an IP after a failed attempt
+ * @param {string} ip
+ * @returns {{ failures: number, retryAfterSeconds: number, lockedOut: boolean, globallyThrottled: boolean }} -
+ *   `lockedOut` when the IP reached the maximum number of failures, `globallyThrottled` when all the IPs did
+ */
+function getStatus(ip) {
+  const failures = stateByIp.get(ip)?.failures ?? 0;
+  return {
+    failures,
+    retryAfterSeconds: getRetryAfterSeconds(ip, Date.now()),
+    lockedOut: failures >= options.maxAttempts,
+    globallyThrottled: isGloballyThrottled(),
+  };
+}
+
+module.exports = {
+  configure,
+  beginAttempt,
+  recordSuccess,
+  getStatus,
+};
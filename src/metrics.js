@@ -0,0 +1,57 @@
+// Prometheus metrics, in the text exposition format (https://prometheus.io/docs/instrumenting/exposition_formats/).
+// Tunnel metrics are computed from the current state on every scrape: only the login counters are kept here.
+
+// Constants
+const loginResults = ['success', 'failure', 'throttled'];
+
+// In-memory state
+const loginCounts = Object.fromEntries(loginResults.map((result) => [result, 0]));
+
+/**
+ * Count a login attempt (password or two-factor code)
+ * @param {'success' | 'failure' | 'throttled'} result - "throttled" when refused without checking the credentials
+ */
+function recordLogin(result) {
+  loginCounts[result]++;
+}
+
+/**
+ * Login attempts since the start, by result
+ * @returns {Record<string, number>}
+ */
+function getLoginCounts() {
+  return { ...loginCounts };
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatSample(name, labels, value) {
+  const pairs = Object.entries(labels).map(([label, labelValue]) => `${label}="${escapeLabelValue(labelValue)}"`);
+  return `${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${Number.isFinite(value) ? value : 'NaN'}`;
+}
+
+/**
+ * Render metric families
+ * @param {{ name: string, help: string, type: 'counter' | 'gauge', samples: { labels?: object, value: number }[] }[]}
+ *   families
+ * @returns {string}
+ */
+function render(families) {
+  const lines = [];
+  for (const { name, help, type, samples } of families) {
+    lines.push(`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${name} ${type}`);
+    for (const { labels = {}, value } of samples) {
+      lines.push(formatSample(name, labels, value));
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  loginResults,
+  recordLogin,
+  getLoginCounts,
+  render,
+};
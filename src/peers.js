@@ -0,0 +1,148 @@
+// Peer allowlists of the servers, and the key pairs the clients connect with.
+// HyperDHT asks the firewall of a server about every incoming handshake, with the public key of the remote peer. In
+// public mode each peer has its own key pair, which is what the allowlist matches. Secure mode already uses the
+// firewall to only accept the key pair derived from the secret in the URL, which every secure client shares: with an
+// allowlist, the listed keys replace it, and secure clients must connect with their own key pair to be told apart.
+
+const nodeCrypto = require('crypto');
+const HyperDHT = require('hyperdht');
+const z32 = require('z32');
+
+// Constants
+const maxAllowedPeers = 100;
+
+// In-memory state
+const rejectionsById = new Map(); // server id -> { count, lastPublicKey, lastAt } since the start (kept when edited)
+
+// Public keys are written the way Holesail shows them: 32 bytes in z-base-32
+function isValidPublicKey(key) {
+  if (typeof key !== 'string' || key.length !== 52) {
+    return false;
+  }
+  try {
+    return z32.decode(key).length === 32;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate an allowlist received from the API
+ * @param {unknown} peers
+ * @returns {boolean}
+ */
+function isValidPeerList(peers) {
+  return Array.isArray(peers) && peers.length <= maxAllowedPeers && peers.every(isValidPublicKey);
+}
+
+/**
+ * Generate the secret the client key pairs are derived from (stored once in the data file)
+ * @returns {string}
+ */
+function generateSeed() {
+  return nodeCrypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Key pair of a client, the same on every start so that servers can allow it
+ * @param {string} seed - As returned by generateSeed()
+ * @param {string} clientId
+ * @returns {{ publicKey: Buffer, secretKey: Buffer }}
+ */
+function getClientKeyPair(seed, clientId) {
+  return HyperDHT.keyPair(nodeCrypto.createHmac('sha256', seed).update(clientId).digest());
+}
+
+/**
+ * Public key of a client, to add to the allowlist of a server
+ * @param {string} seed - As returned by generateSeed()
+ * @param {string} clientId
+ * @returns {string}
+ */
+function getClientPublicKey(seed, clientId) {
+  return z32.encode(getClientKeyPair(seed, clientId).publicKey);
+}
+
+/**
+ * Make a starting client connect with its own key pair (Holesail gives public mode clients a random one, and secure
+ * mode clients the one of their server)
+ * Must be called right after `hs.ready()`, without waiting for it: the client connects while it opens.
+ * @param {object} hs - A Holesail instance created with `client: true`
+ * @param {{ publicKey: Buffer, secretKey: Buffer }} keyPair - As returned by getClientKeyPair()
+ * @param {{ ownKeyPair?: boolean }} [options] - `ownKeyPair` for a secure mode client to connect with it too, which
+ *   only servers allowing it accept
+ * @returns {boolean} - false for a secure mode client keeping the key pair of its server
+ */
+function identifyClient(hs, keyPair, { ownKeyPair = false } = {}) {
+  if (hs.secure && !ownKeyPair) {
+    return false;
+  }
+  if (!hs.dht?.dht) {
+    throw new Error('Holesail client has no HyperDHT node to set the key pair of');
+  }
+  hs.dht.dht.defaultKeyPair = keyPair; // used by HyperDHT when connect() isn't given a key pair
+  return true;
+}
+
+function recordRejection(serverId, publicKey) {
+  const previous = rejectionsById.get(serverId);
+  rejectionsById.set(serverId, {
+    count: (previous?.count ?? 0) + 1,
+    lastPublicKey: publicKey,
+    lastAt: Math.floor(Date.now() / 1000),
+  });
+}
+
+/**
+ * Only accept the listed peers on a starting server, counting the others
+ * Must be called right after `hs.ready()`, without waiting for it: the HyperDHT server is created synchronously, and
+ * only accepts handshakes once it listens.
+ * @param {object} hs - A Holesail instance created with `server: true`
+ * @param {string} serverId
+ * @param {string[]} allowedPeers - Valid public keys, or none to accept every peer
+ */
+function restrictServer(hs, serverId, allowedPeers) {
+  if (allowedPeers.length === 0) {
+    return;
+  }
+  const server = hs.dht?.server;
+  if (!server) {
+    // Failing the start beats running without the allowlist
+    throw new Error('Holesail server has no HyperDHT server to enforce the peer allowlist on');
+  }
+  const allowed = new Set(allowedPeers);
+  // The firewall of a secure server only accepts its own key pair, which the allowlist replaces
+  const firewall = hs.secure ? async () => false : server.firewall;
+  // Returning true rejects the handshake
+  server.firewall = async (remotePublicKey, ...args) => {
+    if (await firewall(remotePublicKey, ...args)) {
+      return true;
+    }
+    const publicKey = z32.encode(remotePublicKey);
+    if (allowed.has(publicKey)) {
+      return false;
+    }
+    recordRejection(serverId, publicKey);
+    return true;
+  };
+}
+
+/**
+ * Connection attempts a server rejected because of its allowlist, since the switchboard started
+ * @param {{ id: string }} entry - A server entry
+ * @returns {{ count: number, lastPublicKey: string | null, lastAt: number | null }}
+ */
+function getRejections(entry) {
+  return rejectionsById.get(entry.id) ?? { count: 0, lastPublicKey: null, lastAt: null };
+}
+
+module.exports = {
+  maxAllowedPeers,
+  isValidPeerList,
+  generateSeed,
+  getClientKeyPair,
+  getClientPublicKey,
+  identifyClient,
+  restrictServer,
+  getRejections,
+};
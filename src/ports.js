@@ -0,0 +1,79 @@
+// Port conflicts between the local listeners of the switchboard: its clients and the web dashboard.
+// Configured listeners are compared by host and port, and a port is also probed, to find other programs using it.
+
+const net = require('net');
+
+// Constants
+const wildcardHosts = ['', '0.0.0.0', '::']; // listen on every address, so they overlap with any host
+const firstAutoPort = 9000; // same default as the dashboard's client form
+const maxProbedPorts = 1000; // per allocation, so that a full range fails in a reasonable time
+
+function hostsOverlap(host, otherHost) {
+  return host === otherHost || wildcardHosts.includes(host) || wildcardHosts.includes(otherHost);
+}
+
+/**
+ * Check whether a port can be listened on, by listening on it for a moment
+ * @param {string} host - Empty for every address
+ * @param {number} port
+ * @returns {Promise<string | null>} - The error code (e.g. "EADDRINUSE"), or null when the port is free
+ */
+function probe(host, port) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.unref();
+    server.once('error', (err) => resolve(err.code || 'EADDRINUSE'));
+    server.listen({ host: host || undefined, port }, () => {
+      server.close(() => resolve(null));
+    });
+  });
+}
+
+/**
+ * Find what prevents listening on a host and port
+ * @param {{ host: string, port: number }} binding
+ * @param {{ host: string, port: number, usedBy: object }[]} listeners - The other listeners of the switchboard, with
+ *   what to report when they conflict (e.g. { type: 'client', id, name })
+ * @param {{ probe: boolean }} options - probe is false when the port is already in use by the entry being checked
+ * @returns {Promise<object | null>} - `usedBy` of the conflicting listener, { type: 'system', code } when the port
+ *   can't be listened on, or null
+ */
+async function findConflict({ host, port }, listeners, options) {
+  const listener = listeners.find((other) => other.port === port && hostsOverlap(host, other.host));
+  if (listener) {
+    return listener.usedBy;
+  }
+  const code = options.probe ? await probe(host, port) : null;
+  return code ? { type: 'system', code } : null;
+}
+
+/**
+ * Find a port no listener uses and that can be listened on
+ * @param {string} host
+ * @param {{ host: string, port: number }[]} listeners - As for findConflict()
+ * @param {Set<number> | null} allowedPorts - Only these ports (e.g. the fixed client ports), or any from 9000
+ * @returns {Promise<number | null>} - null when there is no free port
+ */
+async function findFreePort(host, listeners, allowedPorts) {
+  const candidates = allowedPorts
+    ? [...allowedPorts].sort((a, b) => a - b)
+    : Array.from({ length: 65536 - firstAutoPort }, (_value, index) => firstAutoPort + index);
+  let probed = 0;
+  for (const port of candidates) {
+    if (listeners.some((other) => other.port === port && hostsOverlap(host, other.host))) {
+      continue;
+    }
+    if (!await probe(host, port)) {
+      return port;
+    }
+    if (++probed >= maxProbedPorts) {
+      break;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  findConflict,
+  findFreePort,
+};
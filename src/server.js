@@ -2,15 +2,69 @@
 const { program } = require('commander');
 const path = require('path');
 const os = require('os');
-const fastify = require('fastify')({ logger: true });
+const net = require('net');
+const fastify = require('fastify')({ logger: true, trustProxy: getTrustProxy() });
 const fs = require('fs/promises');
+const { watch } = require('fs');
+const readline = require('readline');
+const { Writable } = require('stream');
 const nodeCrypto = require('crypto');
 const Holesail = require('holesail');
 const { default: pLimit } = require('p-limit');
 const pkg = require('../package.json');
 const auth = require('./auth');
+const stats = require('./stats');
+const supervisor = require('./supervisor');
+const events = require('./events');
+const entries = require('./entries');
+const transfer = require('./transfer');
+const encryption = require('./encryption');
+const datafile = require('./datafile');
+const accounts = require('./accounts');
+const apitokens = require('./apitokens');
+const loginlimit = require('./loginlimit');
+const totp = require('./totp');
+const audit = require('./audit');
+const metrics = require('./metrics');
+const cli = require('./cli');
+const configfile = require('./configfile');
+const ports = require('./ports');
+const peers = require('./peers');
 
 const accessTokenExpirySeconds = 10 * 60; // 10 minutes
+const twoFactorChallengeExpirySeconds = 5 * 60; // time to enter the code after the password
+const twoFactorSetupExpirySeconds = 10 * 60; // time to enter a first code after the two-factor setup starts
+const tunnelStates = ['initializing', 'running', 'failed', 'disabled', 'stopping', 'stopped'];
+const tunnelStopTimeoutSeconds = 5; // on shutdown, for all the tunnels together
+const shutdownTimeoutSeconds = 10; // after which the process exits anyway (Docker kills it after 10 seconds too)
+const reloadDelayMs = 500; // wait for the data or config file to stop changing before reloading it
+
+// trustProxy option of fastify from HSSB_TRUST_PROXY: off by default, as anyone could then pick the IP of their
+// requests with an X-Forwarded-For header
+function getTrustProxy() {
+  const value = process.env.HSSB_TRUST_PROXY?.trim();
+  if (!value || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value); // number of proxies in front of the switchboard
+  }
+  // Addresses or CIDR ranges of the proxies
+  const addresses = value.split(',').map((address) => address.trim());
+  const invalid = addresses.find((address) => {
+    const [ip, bits, ...rest] = address.split('/');
+    return !net.isIP(ip) || rest.length > 0 || (bits !== undefined && !/^\d{1,3}$/.test(bits));
+  });
+  if (invalid !== undefined) {
+    // fastify is created when this module loads, before start() or the CLI commands could report it
+    console.error(`Invalid HSSB_TRUST_PROXY environment variable: "${invalid}" isn't an IP address or CIDR range`);
+    process.exit(1);
+  }
+  return addresses;
+}
 
 // Determine default data directory based on OS
 function getDefaultDataDir() {
@@ -35,7 +89,9 @@ function getDefaultDataFile() {
 }
 
 let dataFile = getDefaultDataFile();
-let clientHost = process.env.HSSB_CLIENT_HOST || '127.0.0.1';
+let configFile = process.env.HSSB_CONFIG_FILE ? path.resolve(process.env.HSSB_CONFIG_FILE) : null;
+let clientHost = process.env.HSSB_CLIENT_HOST || '127.0.0.1'; // default of the clients without a host
+const clientHostsString = process.env.HSSB_CLIENT_HOSTS;
 const clientLinkDomain = process.env.HSSB_CLIENT_LINK_DOMAIN || '';
 const subtitle = process.env.HSSB_SUBTITLE;
 const fixedClientPortsString = process.env.HSSB_FIXED_CLIENT_PORTS;
@@ -45,36 +101,388 @@ let webServerPort = process.env.HSSB_PORT || 3000; // will be converted to a num
 
 const holesailServers = [];
 const holesailClients = [];
-let passwordHash = null; // "salt:derivedKey" when set
+const users = []; // see accounts.js, the dashboard requires a login when there is at least one
+const apiTokens = []; // see apitokens.js
+let fixedClientPorts = null; // Set of ports parsed from HSSB_FIXED_CLIENT_PORTS
+let allowedClientHosts = null; // Set of hosts parsed from HSSB_CLIENT_HOSTS
+let maxDataBackups = 10; // see parseDataBackups()
+let dataKey = null; // Buffer when the keys in the data file are encrypted
+let peerSeed = null; // secret the key pairs of the clients are derived from, generated once, see peers.js
+let jwtSecret = process.env.HSSB_JWT_SECRET || null; // otherwise generated once and kept in the sessions file
+const metricsToken = process.env.HSSB_METRICS_TOKEN || null; // when set, GET /metrics requires it instead of a login
+let sessionsSaveScheduled = false;
+// userId -> { secret, createdAt } (ms) awaiting a first code to enable two-factor authentication, oldest first
+const pendingTotpSecrets = new Map();
+let dataEncryption = null; // key derivation parameters stored in the data file, see encryption.js
+let dataLoaded = false; // the web server listens before the tunnels are started, see GET /readyz
+let shuttingDown = false; // set on SIGTERM/SIGINT: mutations are refused and no tunnel is (re)started anymore
+let dataFileWatcher = null;
+let declaredIds = new Set(); // servers and clients declared in the config file, see configfile.js
+let lastDeclared = new Map(); // id -> { kind, entry } as the config file last applied declared it, to detect drift
+let configStatus = { error: null, appliedAt: null };
+let configFileWatcher = null;
+
+// Case-insensitive search over the human-readable fields, plus an exact match on every requested tag
+function matchesFilter(entry, { tags, search }) {
+  if (!tags.every((tag) => entry.tags.includes(tag))) {
+    return false;
+  }
+  if (!search) {
+    return true;
+  }
+  const haystack = [entry.name, entry.description, entry.host, entry.port, ...entry.tags].join('\n').toLowerCase();
+  return haystack.includes(search.toLowerCase());
+}
 
+// Save data to file (with the keys sealed when the data file is encrypted)
+async function saveData({ maxBackups = maxDataBackups } = {}) {
+  const sealKey = (key) => ((dataKey && key) ? encryption.seal(dataKey, key) : key);
+  await datafile.write(dataFile, JSON.stringify({
+    servers: holesailServers.map((server) => ({
+      ...server, key: sealKey(server.key), hs: undefined, state: undefined, restartStatus: undefined,
+      runtimeStopped: undefined,
+    })),
+    clients: holesailClients.map((client) => ({
+      ...client, key: sealKey(client.key), hs: undefined, state: undefined, restartStatus: undefined,
+      runtimeStopped: undefined,
+    })),
+    users: users.map((user) => (
+      user.totp ? { ...user, totp: { ...user.totp, secret: sealKey(user.totp.secret) } } : user
+    )),
+    apiTokens,
+    ...peerSeed ? { peerSeed: sealKey(peerSeed) } : {},
+    ...dataEncryption ? { encryption: dataEncryption } : {},
+    // Kept so that the entries removed from the config file while the switchboard was stopped are removed too
+    ...declaredIds.size > 0 ? { declaredIds: [...declaredIds] } : {},
+  }, null, 2), { maxBackups });
+}
 
-// Validation helpers
-function isValidServerKey(key) {
-  // See: https://github.com/holesail/holesail/issues/64
-  return typeof key === 'string' && (
-    (key === '') || (64 <= key.length && key.length <= 1000 && key[5] !== 's')
-  );
+// Reload the servers and clients after the data file was edited outside of the switchboard (e.g. by configuration
+// management): only the tunnels that changed are restarted, and an invalid file is logged and otherwise ignored.
+// Users and API tokens are only read at start.
+function reloadDataFile(reason) {
+  return mutationLimit(async () => {
+    if (!dataLoaded || shuttingDown) {
+      return;
+    }
+    try {
+      const readResult = await datafile.read(dataFile, { recover: false });
+      if (!readResult) {
+        throw new Error('Data file was deleted');
+      }
+      const { data } = readResult;
+      if (JSON.stringify(data.encryption ?? null) !== JSON.stringify(dataEncryption)) {
+        throw new Error('The encryption of the data file changed, restart the switchboard to use it');
+      }
+      const unsealEntries = (list) => (Array.isArray(list)
+        ? list.map((entry) => ((entry && typeof entry === 'object') ? unsealEntryKey(entry) : entry))
+        : list ?? []);
+      const plan = transfer.planReload(
+        { servers: unsealEntries(data.servers), clients: unsealEntries(data.clients) },
+        { servers: holesailServers, clients: holesailClients },
+        { fixedClientPorts },
+      );
+      if (plan.error) {
+        throw new Error(plan.error);
+      }
+      if (!transfer.hasChanges(plan)) {
+        return; // e.g. written by saveData()
+      }
+      await applyEntryPlan(plan, null, 'reload');
+      const { servers, clients } = transfer.summarizeImport(plan);
+      const describe = (kind, { added, updated, removed }) => (
+        `${kind} ${added.length} added, ${updated.length} updated, ${removed.length} removed`
+      );
+      fastify.log.info(`Data file reloaded (${reason}): ${describe('servers', servers)}, ${
+        describe('clients', clients)}`);
+      const drift = getConfigDrift();
+      if (drift.length > 0) {
+        fastify.log.warn(`Declared entries changed in the data file: ${describeDrift(drift)}. They are reset to the `
+          + 'config file when it changes next, or on SIGHUP');
+      }
+    } catch (err) {
+      fastify.log.error(`Data file not reloaded (${reason}), keeping the current tunnels: ${err.message}`);
+    }
+  });
+}
+
+// Call onChange once a file stopped changing. Its directory is watched, because saves often replace the file by a
+// rename (saveData() always does).
+function watchFile(file, label, onChange) {
+  let timer = null;
+  try {
+    const watcher = watch(path.dirname(file), (_eventType, filename) => {
+      if (filename && filename !== path.basename(file)) {
+        return;
+      }
+      clearTimeout(timer);
+      timer = setTimeout(onChange, reloadDelayMs);
+    });
+    watcher.on('error', (err) => fastify.log.error(`The ${label} watcher failed`, err));
+    return watcher;
+  } catch (err) {
+    fastify.log.warn(`Not watching the ${label} (${err.message}), send SIGHUP to reload it`);
+    return null;
+  }
+}
+
+// Bring the declared servers and clients to the state of the config file (see configfile.js). An invalid file is
+// reported and otherwise ignored: the tunnels keep their current state until it is fixed.
+// At start, the tunnels are only started afterwards: `startTunnels` is false.
+async function applyConfigFile(reason, { startTunnels = true } = {}) {
+  try {
+    const config = await configfile.read(configFile);
+    const result = configfile.plan(config, { servers: holesailServers, clients: holesailClients }, declaredIds);
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    const declaredClient = config.clients?.find((client) => getClientHostError(client.host));
+    if (declaredClient) {
+      throw new Error(`Client "${declaredClient.id}": ${getClientHostError(declaredClient.host)}`);
+    }
+    const drift = getConfigDrift();
+    if (drift.length > 0) {
+      fastify.log.warn(`Resetting the declared entries changed outside of the config file: ${describeDrift(drift)}`);
+    }
+    // Entries that start or stop being declared without other changes, e.g. an existing entry taken over by its id
+    const toggledIds = [...result.declaredIds, ...declaredIds]
+      .filter((id) => result.declaredIds.has(id) !== declaredIds.has(id));
+    declaredIds = result.declaredIds;
+    if (transfer.hasChanges(result.plan)) {
+      await applyEntryPlan(result.plan, null, 'config', { startTunnels });
+      const { servers, clients } = transfer.summarizeImport(result.plan);
+      const describe = (kind, { added, updated, removed }) => (
+        `${kind} ${added.length} added, ${updated.length} updated, ${removed.length} removed`
+      );
+      fastify.log.info(`Config file applied (${reason}): ${describe('servers', servers)}, ${
+        describe('clients', clients)}`);
+    } else if (toggledIds.length > 0) {
+      await saveData();
+    }
+    for (const holesailServer of holesailServers.filter(({ id }) => toggledIds.includes(id))) {
+      events.publish('server.updated', serializeServer(holesailServer));
+    }
+    for (const holesailClient of holesailClients.filter(({ id }) => toggledIds.includes(id))) {
+      events.publish('client.updated', serializeClient(holesailClient));
+    }
+    lastDeclared = new Map([
+      ...holesailServers.filter(({ id }) => declaredIds.has(id))
+        .map((server) => [server.id, { kind: 'server', entry: storedServer(server) }]),
+      ...holesailClients.filter(({ id }) => declaredIds.has(id))
+        .map((client) => [client.id, { kind: 'client', entry: storedClient(client) }]),
+    ]);
+    configStatus = { error: null, appliedAt: Math.floor(Date.now() / 1000) };
+  } catch (err) {
+    configStatus = { ...configStatus, error: err.message };
+    fastify.log.error(`Config file ${configFile} not applied (${reason}), keeping the current tunnels: ${
+      err.message}`);
+  }
+}
+
+function reloadConfigFile(reason) {
+  return mutationLimit(async () => {
+    if (dataLoaded && !shuttingDown) {
+      await applyConfigFile(reason);
+    }
+  });
+}
+
+// Declared entries that differ from the config file applied last (e.g. after an edit of the data file)
+// Only field names are reported, so that keys don't end up in logs.
+function getConfigDrift() {
+  const drift = [];
+  for (const [id, { kind, entry }] of lastDeclared) {
+    const current = (kind === 'server' ? holesailServers : holesailClients).find((candidate) => candidate.id === id);
+    if (!current) {
+      drift.push({ kind, id, name: entry.name, missing: true });
+      continue;
+    }
+    const fields = Object.keys(audit.diff(entry, kind === 'server' ? storedServer(current) : storedClient(current)));
+    if (fields.length > 0) {
+      drift.push({ kind, id, name: entry.name, fields });
+    }
+  }
+  return drift;
+}
+
+function describeDrift(drift) {
+  return drift.map(({ kind, id, missing, fields }) => (
+    `${kind} ${id} ${missing ? 'removed' : `(${fields.join(', ')})`}`
+  )).join(', ');
+}
+
+// Declared entries can only be changed in the config file
+function isDeclared(entry) {
+  return declaredIds.has(entry.id);
 }
 
-function isValidClientKey(key) {
-  return typeof key === 'string' && ((key === '') || key.startsWith('hs://'));
+// Files kept next to the data file, e.g. "data.sessions.json" for "data.json"
+function getSiblingFile(suffix) {
+  return `${dataFile.replace(/\.json$/, '')}.${suffix}`;
 }
 
-function isValidPort(port) {
-  return typeof port === 'number' && Number.isInteger(port) && port >= 0 && port <= 65535;
+// Sessions change on every login and token refresh: they are kept next to the data file rather than in it, so that
+// they don't fill the data file backups
+function getSessionsFile() {
+  return getSiblingFile('sessions.json');
 }
 
-function isValidHost(host) {
-  return typeof host === 'string' && host.length <= 255;
+// The JWT secret is sealed like the keys of the data file: anyone with it can sign access tokens
+async function saveSessions() {
+  await datafile.write(getSessionsFile(), JSON.stringify({
+    ...process.env.HSSB_JWT_SECRET ? {} : { jwtSecret: dataKey ? encryption.seal(dataKey, jwtSecret) : jwtSecret },
+    sessions: auth.exportSessions(),
+  }, null, 2), { maxBackups: 0 });
 }
 
-// Save data to file
-async function saveData() {
-  await fs.writeFile(dataFile, JSON.stringify({
-    servers: holesailServers.map((server) => ({ ...server, hs: undefined, state: undefined })),
-    clients: holesailClients.map((client) => ({ ...client, hs: undefined, state: undefined })),
-    passwordHash
-  }, null, 2));
+// Several sessions often change at once (e.g. when a user is deleted): save them once
+function scheduleSessionsSave() {
+  if (sessionsSaveScheduled) {
+    return;
+  }
+  sessionsSaveScheduled = true;
+  setImmediate(() => {
+    sessionsSaveScheduled = false;
+    saveSessions().catch((err) => fastify.log.error('Failed to save sessions', err));
+  });
+}
+
+// Restore the sessions (so that a restart doesn't log everyone out) and the generated JWT secret
+async function loadSessions() {
+  const sessionsFile = getSessionsFile();
+  let data = null;
+  try {
+    data = (await datafile.read(sessionsFile))?.data;
+  } catch (err) {
+    // Losing the sessions only means logging in again
+    console.warn(`Ignoring the sessions file ${sessionsFile}: ${err.message}`);
+  }
+  let storedSecret = null;
+  if (typeof data?.jwtSecret === 'string' && data.jwtSecret) {
+    try {
+      storedSecret = unsealValue(data.jwtSecret);
+    } catch (err) {
+      // e.g. sealed with the key of a data file that was decrypted since
+      console.warn(`Ignoring the JWT secret in ${sessionsFile}: ${err.message}`);
+    }
+  }
+  // Rewritten when the data file was encrypted or decrypted since it was saved
+  const resealSecret = Boolean(storedSecret) && encryption.isSealed(data.jwtSecret) !== Boolean(dataKey);
+  if (!jwtSecret) {
+    jwtSecret = storedSecret || nodeCrypto.randomBytes(32).toString('hex');
+  }
+  // Access tokens signed with another secret can't be verified, but sessions are refreshed with their refresh token
+  auth.initAuth({
+    sessions: Array.isArray(data?.sessions) ? data.sessions : [],
+    onChange: scheduleSessionsSave,
+  });
+  if (!data || (!process.env.HSSB_JWT_SECRET && (jwtSecret !== storedSecret || resealSecret))) {
+    await saveSessions();
+  }
+}
+
+function findServerIndex(id) {
+  return holesailServers.findIndex((server) => server.id === id);
+}
+
+function findClientIndex(id) {
+  return holesailClients.findIndex((client) => client.id === id);
+}
+
+// API representation of an entry: runtime fields without the Holesail instance itself
+function serializeServer(server) {
+  const peerRejections = peers.getRejections(server);
+  return {
+    ...server,
+    hs: undefined,
+    ...isDeclared(server) ? { declared: true } : {},
+    ...(server.allowedPeers?.length > 0 || peerRejections.count > 0) ? { peerRejections } : {},
+    ...server.hs ? { hsInfoUrl: server.hs.info.url, stats: stats.getServerStats(server.hs) } : {},
+  };
+}
+
+// Secure mode clients connect with the key pair of their server unless `ownKeyPair` is set, and then have no public key
+// of their own
+function serializeClient(client) {
+  const usesOwnKeyPair = client.ownKeyPair || !Holesail.urlParser(client.key).secure;
+  return {
+    ...client,
+    hs: undefined,
+    ...isDeclared(client) ? { declared: true } : {},
+    publicKey: usesOwnKeyPair ? peers.getClientPublicKey(peerSeed, client.id) : null,
+    ...client.hs ? { stats: stats.getClientStats(client.hs) } : {},
+  };
+}
+
+// Give every entry a persistent id (data files written before ids existed only have array positions)
+function assignMissingIds() {
+  const seenIds = new Set();
+  let assigned = 0;
+  for (const entry of [...holesailServers, ...holesailClients]) {
+    if (typeof entry.id !== 'string' || !entry.id || seenIds.has(entry.id)) {
+      entry.id = nodeCrypto.randomUUID();
+      assigned++;
+    }
+    seenIds.add(entry.id);
+  }
+  return assigned;
+}
+
+// Read a secret from the terminal without echoing it
+function promptSecret(question) {
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) {
+        process.stdout.write(chunk, encoding);
+      }
+      callback();
+    },
+  });
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+// The master secret of an encrypted data file: HSSB_DATA_KEY, or a passphrase entered in the terminal
+async function getDataKeySecret({ confirm = false } = {}) {
+  if (process.env.HSSB_DATA_KEY) {
+    return process.env.HSSB_DATA_KEY;
+  }
+  if (!process.stdin.isTTY) {
+    return null;
+  }
+  const secret = await promptSecret('Data file passphrase: ');
+  if (confirm && secret !== await promptSecret('Confirm data file passphrase: ')) {
+    throw new Error('Passphrases do not match');
+  }
+  return secret || null;
+}
+
+// Keys are only ever decrypted in memory
+function unsealValue(value) {
+  if (!encryption.isSealed(value)) {
+    return value;
+  }
+  if (!dataKey) {
+    throw new Error('Data file contains encrypted keys but no encryption parameters');
+  }
+  return encryption.unseal(dataKey, value);
+}
+
+function unsealEntryKey(entry) {
+  return { ...entry, key: unsealValue(entry.key) };
+}
+
+// The two-factor secrets are sealed like the tunnel keys
+function unsealTotpSecret(user) {
+  return user.totp ? { ...user, totp: { ...user.totp, secret: unsealValue(user.totp.secret) } } : user;
 }
 
 // Initialize data file
@@ -82,26 +490,70 @@ async function ensureDataFile(fixedClientPorts) {
   try {
     console.info(`Using data file: ${dataFile}`);
     await fs.mkdir(path.dirname(dataFile), { recursive: true });
-    try {
-      const fileContent = await fs.readFile(dataFile, 'utf-8');
-      const data = JSON.parse(fileContent);
+    // A corrupted data file is never reset: it's either recovered from a backup, or the switchboard doesn't start
+    const readResult = await datafile.read(dataFile);
+    const data = readResult?.data;
+    let migratedPassword = false;
+    if (data) {
+      // Failing to decrypt must not reset the file: the secret is probably just wrong or missing
+      if (data.encryption) {
+        const secret = await getDataKeySecret();
+        if (!secret) {
+          throw new Error('Data file is encrypted: set HSSB_DATA_KEY (or run in a terminal to enter the passphrase)');
+        }
+        dataKey = await encryption.openDataKey(secret, data.encryption);
+        if (!dataKey) {
+          throw new Error('Wrong data file passphrase');
+        }
+        dataEncryption = data.encryption;
+      }
       if (Array.isArray(data.servers)) {
-        holesailServers.push(...data.servers);
+        holesailServers.push(...data.servers.map(unsealEntryKey).map(entries.withValidMetadata));
       }
-      if (data.passwordHash && typeof data.passwordHash === 'string') {
-        passwordHash = data.passwordHash;
+      if (Array.isArray(data.users)) {
+        users.push(...data.users.filter(accounts.isValidUser).map(unsealTotpSecret));
+        if (Array.isArray(data.apiTokens)) {
+          apiTokens.push(...data.apiTokens.filter(apitokens.isValidToken));
+        }
+      } else if (data.passwordHash && typeof data.passwordHash === 'string') {
+        // Data files written before user accounts existed have a single password: it becomes the "admin" user
+        users.push(accounts.createUser('admin', 'admin', data.passwordHash));
+        migratedPassword = true;
+        console.info('Login password migrated to the "admin" user');
       }
       if (Array.isArray(data.clients)) {
         holesailClients.push(...data.clients.filter(
-          (client) => !fixedClientPorts || fixedClientPorts.has(client.port))
-        );
+          (client) => !fixedClientPorts || fixedClientPorts.has(client.port)
+        ).map(unsealEntryKey).map(entries.withValidMetadata));
       }
-    } catch (error) {
-      if (error?.code === 'ENOENT') {
-        console.info(`Data file does not exist, creating empty data file`);
-      } else {
-        console.warn('Error initializing data file - resetting', error);
+      if (Array.isArray(data.declaredIds)) {
+        declaredIds = new Set(data.declaredIds.filter((id) => typeof id === 'string'));
+      }
+      if (typeof data.peerSeed === 'string') {
+        peerSeed = unsealValue(data.peerSeed);
       }
+    } else {
+      console.info(`Data file does not exist, creating empty data file`);
+      if (process.env.HSSB_DATA_KEY) {
+        ({ key: dataKey, header: dataEncryption } = await encryption.createDataKey(process.env.HSSB_DATA_KEY));
+      }
+      peerSeed = peers.generateSeed();
+      await saveData();
+    }
+    // Data files written before peer allowlists existed don't have it
+    const generatedPeerSeed = !peerSeed;
+    if (generatedPeerSeed) {
+      peerSeed = peers.generateSeed();
+    }
+    const assignedIds = assignMissingIds();
+    if (assignedIds > 0) {
+      console.info(`Assigned ids to ${assignedIds} entries in data file`);
+    }
+    if (readResult?.recoveredFrom) {
+      const corruptedFile = await datafile.moveAside(dataFile);
+      console.warn(`Data file is corrupted (moved to ${corruptedFile}), recovered from ${readResult.recoveredFrom}`);
+    }
+    if (assignedIds > 0 || migratedPassword || generatedPeerSeed || readResult?.recoveredFrom) {
       await saveData();
     }
   } catch (err) {
@@ -111,91 +563,505 @@ async function ensureDataFile(fixedClientPorts) {
   return true;
 }
 
-// Server management
-async function startServer(index) {
-  const holesailServer = holesailServers[index];
-  if (!holesailServer) {
+// encrypt-data-file / decrypt-data-file commands: rewrite the data file with the keys sealed or in cleartext
+async function migrateDataFile(encrypt) {
+  // A running switchboard would write the keys back the way it read them with its next change
+  const running = await findRunningSwitchboard();
+  if (running) {
+    throw new Error(`The switchboard is running (pid ${running.pid}): stop it first`);
+  }
+  if (!await ensureDataFile(null)) {
+    throw new Error('Failed to initialize data file');
+  }
+  if (encrypt === Boolean(dataKey)) {
+    console.info(encrypt ? 'Data file is already encrypted' : 'Data file is not encrypted');
     return;
   }
-  holesailServer.state = 'initializing';
+  const previousKey = dataKey;
+  if (encrypt) {
+    const secret = await getDataKeySecret({ confirm: true });
+    if (!secret) {
+      throw new Error('Set HSSB_DATA_KEY (or run in a terminal to enter a passphrase)');
+    }
+    ({ key: dataKey, header: dataEncryption } = await encryption.createDataKey(secret));
+  } else {
+    dataKey = null;
+    dataEncryption = null;
+  }
+  // Backups in the previous form would keep the keys in cleartext, or sealed with a key that is about to be forgotten
+  await saveData({ maxBackups: 0 });
+  const removedCopies = await datafile.removeCopies(dataFile);
+  await resealJwtSecret(previousKey);
+  const keyCount = [...holesailServers, ...holesailClients].filter((entry) => entry.key).length;
+  console.info(`${encrypt ? 'Encrypted' : 'Decrypted'} ${keyCount} keys in ${dataFile}`);
+  if (removedCopies > 0) {
+    console.info(`Deleted ${removedCopies} backups and corrupted copies of the data file in the previous form`);
+  }
+}
+
+// The JWT secret in the sessions file follows the encryption of the data file, so that nobody is logged out
+async function resealJwtSecret(previousKey) {
+  const sessionsFile = getSessionsFile();
+  try {
+    const data = (await datafile.read(sessionsFile))?.data;
+    if (typeof data?.jwtSecret !== 'string' || !data.jwtSecret) {
+      return;
+    }
+    const { jwtSecret: storedSecret } = data;
+    const secret = encryption.isSealed(storedSecret) ? encryption.unseal(previousKey, storedSecret) : storedSecret;
+    await datafile.write(sessionsFile, JSON.stringify({
+      ...data,
+      jwtSecret: dataKey ? encryption.seal(dataKey, secret) : secret,
+    }, null, 2), { maxBackups: 0 });
+  } catch (err) {
+    console.warn(`Failed to update the JWT secret in ${sessionsFile} (everyone will have to log in again): ${
+      err.message}`);
+  }
+}
+
+// A running switchboard writes its pid next to the data file, so that the CLI commands don't edit the file under it
+function getPidFile() {
+  return getSiblingFile('pid');
+}
+
+// The { pid, url } of the running switchboard, or null
+async function findRunningSwitchboard() {
+  let running;
+  try {
+    running = JSON.parse(await fs.readFile(getPidFile(), 'utf-8'));
+    process.kill(running.pid, 0); // throws when the process doesn't exist (the file is left over from a crash)
+  } catch (err) {
+    if (err?.code !== 'EPERM') {
+      return null;
+    }
+  }
+  return running;
+}
+
+// Backend of the CLI commands (see cli.js) working on the data file, while the switchboard is stopped
+async function openFileBackend() {
+  const running = await findRunningSwitchboard();
+  if (running) {
+    throw new Error(`The switchboard is running (pid ${running.pid}): stop it, or manage it with --url ${
+      running.url} and an API token`);
+  }
+  parseAllowedClientHosts();
+  parseDataBackups();
+  // Status messages go to stderr, so that stdout only has the output of the command
+  console.info = console.error;
+  if (!await ensureDataFile(null)) {
+    throw new Error('Failed to initialize data file');
+  }
+  await audit.init(getSiblingFile('audit.jsonl'));
+  const details = { source: 'cli' };
+  const findEntry = (kind, id) => (kind === 'server' ? holesailServers : holesailClients)
+    .findIndex((entry) => entry.id === id);
+
+  return {
+    list: async () => ({
+      servers: holesailServers.map(serializeServer),
+      clients: holesailClients.map(serializeClient),
+    }),
+    addServer: async ({ key = entries.generateServerKey(), ...fields }) => {
+      const server = { ...fields, key, restartPolicy: supervisor.getDefaultRestartPolicy() };
+      const validationError = entries.getServerError(server);
+      if (validationError) {
+        throw new Error(validationError);
+      }
+      const holesailServer = entries.createServer(nodeCrypto.randomUUID(), server);
+      holesailServers.push(holesailServer);
+      await saveData();
+      recordAudit(null, 'server.create', { target: serverTarget(holesailServer), after: holesailServer, details });
+      return { id: holesailServer.id };
+    },
+    addClient: async (fields) => {
+      if (fixedClientPortsString) {
+        throw new Error('Clients can\'t be added with HSSB_FIXED_CLIENT_PORTS');
+      }
+      const client = { ...fields, restartPolicy: supervisor.getDefaultRestartPolicy() };
+      // Before allocating or probing a port on the host
+      const hostError = entries.isValidHost(client.host) && getClientHostError(client.host);
+      if (hostError) {
+        throw new Error(hostError);
+      }
+      if (client.port === 'auto' && entries.isValidHost(client.host)) {
+        client.port = await allocateClientPort(client.host, null);
+        if (client.port === null) {
+          throw new Error('No free port found');
+        }
+      }
+      const validationError = entries.getClientError(client);
+      if (validationError) {
+        throw new Error(validationError);
+      }
+      const conflict = await findClientPortConflict(client, null);
+      if (conflict) {
+        throw new Error(describePortConflict(conflict));
+      }
+      const holesailClient = entries.createClient(nodeCrypto.randomUUID(), client);
+      holesailClients.push(holesailClient);
+      await saveData();
+      recordAudit(null, 'client.create', { target: clientTarget(holesailClient), after: holesailClient, details });
+      return { id: holesailClient.id, port: holesailClient.port };
+    },
+    remove: async (kind, { id }) => {
+      if (kind === 'client' && fixedClientPortsString) {
+        throw new Error('Clients can\'t be removed with HSSB_FIXED_CLIENT_PORTS');
+      }
+      if (declaredIds.has(id)) {
+        throw new Error(`The ${kind} ${id} is declared in the config file, remove it there`);
+      }
+      const list = kind === 'server' ? holesailServers : holesailClients;
+      const [entry] = list.splice(findEntry(kind, id), 1);
+      await saveData();
+      const target = kind === 'server' ? serverTarget(entry) : clientTarget(entry);
+      recordAudit(null, `${kind}.delete`, { target, before: entry, details });
+    },
+    update: async (kind, { id }, changes) => {
+      if (declaredIds.has(id)) {
+        throw new Error(`The ${kind} ${id} is declared in the config file, change it there`);
+      }
+      const list = kind === 'server' ? holesailServers : holesailClients;
+      const index = findEntry(kind, id);
+      const fields = { ...list[index], ...changes };
+      const validationError = kind === 'server'
+        ? entries.getServerError(fields)
+        : entries.getClientError(fields) || getClientHostError(fields.host);
+      if (validationError) {
+        throw new Error(validationError);
+      }
+      const conflict = kind === 'client' && await findClientPortConflict(fields, list[index]);
+      if (conflict) {
+        throw new Error(describePortConflict(conflict));
+      }
+      const previous = list[index];
+      list[index] = kind === 'server' ? entries.createServer(id, fields) : entries.createClient(id, fields);
+      await saveData();
+      const target = kind === 'server' ? serverTarget(list[index]) : clientTarget(list[index]);
+      recordAudit(null, `${kind}.update`, { target, before: previous, after: list[index], details });
+    },
+    exportDocument: async ({ includeKeys }) => {
+      recordAudit(null, 'config.export', { details: { ...details, includeKeys } });
+      return transfer.createDocument(
+        { servers: holesailServers, clients: holesailClients },
+        { includeKeys, appVersion: pkg.version },
+      );
+    },
+    setPassword: async (username, { fromStdin }) => {
+      const user = users.find((candidate) => candidate.username === username);
+      if (!user && users.length > 0) {
+        throw new Error(`No user named "${username}" (new users are added from the Users dialog)`);
+      }
+      if (!user && !accounts.isValidUsername(username)) {
+        throw new Error('Invalid username');
+      }
+      const password = fromStdin ? await readStdinLine() : await promptNewPassword();
+      if (!password) {
+        throw new Error('The password can\'t be empty');
+      }
+      const passwordHash = await auth.hashPassword(password);
+      if (user) {
+        user.passwordHash = passwordHash;
+        // The sessions of the user were opened with the previous password
+        await loadSessions();
+        auth.invalidateUserSessions(user.id);
+        await saveSessions();
+        recordAudit(null, 'auth.password-set', { target: userTarget(user), user, details });
+      } else {
+        const newUser = accounts.createUser(username, 'admin', passwordHash);
+        users.push(newUser);
+        recordAudit(null, 'user.create', { target: userTarget(newUser), after: newUser, user: newUser, details });
+      }
+      await saveData();
+    },
+  };
+}
+
+async function promptNewPassword() {
+  if (!process.stdin.isTTY) {
+    throw new Error('Run in a terminal to enter the password, or use --password-stdin');
+  }
+  const password = await promptSecret('New password: ');
+  if (password !== await promptSecret('Confirm new password: ')) {
+    throw new Error('Passwords do not match');
+  }
+  return password;
+}
+
+// First line of the standard input (e.g. piped from a secret manager)
+async function readStdinLine() {
+  const rl = readline.createInterface({ input: process.stdin, terminal: false });
+  for await (const line of rl) {
+    rl.close();
+    return line;
+  }
+  return '';
+}
+
+// Holesail doesn't report a tunnel dying at runtime, so watch the underlying DHT node (and the client's local proxy).
+function watchTunnel(entry, hs, onCrash) {
+  let crashed = false;
+  const handleCrash = (err) => {
+    // stopServer()/stopClient() detach the instance from the entry before closing it on purpose
+    if (crashed || entry.hs !== hs) {
+      return;
+    }
+    crashed = true;
+    void onCrash(err || new Error('Tunnel closed unexpectedly'));
+  };
+  hs.dht?.dht?.on('close', () => handleCrash());
+  hs.dht?.server?.on('close', () => handleCrash());
+  hs.dht?.proxy?.on('error', handleCrash).on('close', () => handleCrash());
+}
+
+async function closeFailedTunnel(hs) {
+  try {
+    await hs.close();
+  } catch {
+    // The instance is being discarded anyway
+  }
+}
+
+// Server management
+function setServerState(holesailServer, state) {
+  holesailServer.state = state;
+  events.publish('server.state', serializeServer(holesailServer));
+}
+
+function restartServer(holesailServer) {
+  return mutationLimit(async () => {
+    // Skip if the entry was deleted, replaced by an update or already started in the meantime (or on shutdown)
+    if (shuttingDown || !holesailServers.includes(holesailServer) || holesailServer.hs
+      || holesailServer.runtimeStopped) {
+      return;
+    }
+    await startServer(holesailServer);
+  });
+}
+
+async function handleServerCrash(holesailServer, hs, err) {
+  fastify.log.error(`Server ${holesailServer.id} stopped unexpectedly: ${err.message}`);
+  delete holesailServer.hs;
+  await closeFailedTunnel(hs);
+  supervisor.scheduleRestart(holesailServer, err, () => restartServer(holesailServer));
+  setServerState(holesailServer, 'failed');
+}
+
+async function startServer(holesailServer) {
+  setServerState(holesailServer, 'initializing');
   if (!holesailServer.enabled) {
-    holesailServer.state = 'disabled';
+    setServerState(holesailServer, 'disabled');
     return;
   }
 
+  let hs = null;
   try {
-    const hs = new Holesail({
+    hs = new Holesail({
       server: true,
       host: holesailServer.host,
       port: holesailServer.port,
       key: holesailServer.key,
       secure: holesailServer.secure,
     });
-    await hs.ready();
+    // The allowlist is set up while the instance opens, before the server accepts connections. If that throws, the
+    // opening is only awaited by closeFailedTunnel(), which ignores its errors.
+    const opening = hs.ready();
+    opening.catch(() => {});
+    peers.restrictServer(hs, holesailServer.id, holesailServer.allowedPeers ?? []);
+    await opening;
+    stats.attachServer(hs);
     holesailServer.hs = hs;
-    holesailServer.state = 'running';
-    fastify.log.info(`Server ${index} started: ${holesailServer.host}:${holesailServer.port}`);
+    watchTunnel(holesailServer, hs, (err) => handleServerCrash(holesailServer, hs, err));
+    supervisor.markRunning(holesailServer);
+    setServerState(holesailServer, 'running');
+    fastify.log.info(`Server ${holesailServer.id} started: ${holesailServer.host}:${holesailServer.port}`);
   } catch (err) {
-    holesailServer.state = 'failed';
-    fastify.log.error(`Server ${index} failed to start:`, err);
+    fastify.log.error(`Server ${holesailServer.id} failed to start:`, err);
+    if (hs) {
+      await closeFailedTunnel(hs);
+    }
+    supervisor.scheduleRestart(holesailServer, err, () => restartServer(holesailServer));
+    setServerState(holesailServer, 'failed');
   }
 }
 
-async function stopServer(index) {
-  const holesailServer = holesailServers[index];
-  holesailServer.state = 'stopping';
-  if (holesailServer.hs) {
+async function stopServer(holesailServer) {
+  supervisor.cancelRestart(holesailServer);
+  setServerState(holesailServer, 'stopping');
+  const hs = holesailServer.hs;
+  if (hs) {
+    delete holesailServer.hs;
     try {
-      await holesailServer.hs.close();
+      await hs.close();
     } catch (err) {
-      fastify.log.error(`Error stopping server ${index}:`, err);
+      fastify.log.error(`Error stopping server ${holesailServer.id}:`, err);
     }
-    delete holesailServer.hs;
   }
-  holesailServer.state = 'stopped';
+  setServerState(holesailServer, 'stopped');
 }
 
 // Client management
-async function startClient(index) {
-  const holesailClient = holesailClients[index];
-  if (!holesailClient) {
+// Also used by the CLI commands working on the data file, so that they enforce the same allowlist
+function parseAllowedClientHosts() {
+  if (!clientHostsString) {
     return;
   }
-  holesailClient.state = 'initializing';
+  allowedClientHosts = new Set(clientHostsString.split(',').map((host) => host.trim()).filter(Boolean));
+  if (!allowedClientHosts.has(clientHost)) {
+    throw new Error(`The default client host ${clientHost} must be one of HSSB_CLIENT_HOSTS`);
+  }
+}
+
+// With HSSB_CLIENT_HOSTS, clients can only bind to the listed addresses (an empty host is the default client host)
+function getClientHostError(host) {
+  if (allowedClientHosts && !allowedClientHosts.has(host || clientHost)) {
+    return `Host ${host || clientHost} is not one of the allowed client hosts`;
+  }
+  return null;
+}
+
+// Local listeners a client must not conflict with (see ports.js): the web dashboard and the other clients. Disabled
+// clients are included when picking a port, so that they keep theirs, but don't prevent using it meanwhile.
+function getClientListeners(excludeId, { includeDisabled }) {
+  return [
+    { host: webServerHost, port: webServerPort, usedBy: { type: 'dashboard' } },
+    ...holesailClients
+      .filter((client) => client.id !== excludeId && client.port !== 0 && (includeDisabled || client.enabled))
+      .map((client) => ({
+        host: client.host || clientHost,
+        port: client.port,
+        usedBy: { type: 'client', id: client.id, name: client.name },
+      })),
+  ];
+}
+
+function describePortConflict({ host, port, usedBy }) {
+  if (usedBy.type === 'dashboard') {
+    return `Port ${port} is used by the web dashboard`;
+  }
+  if (usedBy.type === 'client') {
+    return `Port ${port} is already used by the client ${usedBy.name || usedBy.id}`;
+  }
+  return usedBy.code === 'EADDRINUSE'
+    ? `Port ${port} is already in use on ${host} by another program`
+    : `Port ${port} can't be listened on at ${host} (${usedBy.code})`;
+}
+
+/**
+ * Find what would prevent an enabled client from listening on its port
+ * @param {{ port: number, host: string, enabled: boolean }} client - Valid fields
+ * @param {object | null} current - The client being updated
+ * @returns {Promise<{ host: string, port: number, usedBy: object } | null>}
+ */
+async function findClientPortConflict({ port, host, enabled }, current) {
+  if (!enabled) {
+    return null;
+  }
+  const bindHost = host || clientHost;
+  // A running client already listens on its port. Whatever its host, as the probe fails on an overlapping one (e.g.
+  // 0.0.0.0 while it listens on 127.0.0.1): the switch of host fails when the client restarts otherwise.
+  const isOwnListener = Boolean(current?.hs) && current.port === port;
+  const usedBy = await ports.findConflict(
+    { host: bindHost, port },
+    getClientListeners(current?.id, { includeDisabled: false }),
+    { probe: !isOwnListener },
+  );
+  return usedBy && { host: bindHost, port, usedBy };
+}
+
+// Port for `port: "auto"`: the current one while it's free, otherwise the next free one (a fixed client port if any)
+async function allocateClientPort(host, current) {
+  if (current && current.port !== 0 && (!fixedClientPorts || fixedClientPorts.has(current.port))
+    && !await findClientPortConflict({ port: current.port, host, enabled: true }, current)) {
+    return current.port;
+  }
+  return ports.findFreePort(
+    host || clientHost,
+    getClientListeners(current?.id, { includeDisabled: true }),
+    fixedClientPorts,
+  );
+}
+
+function setClientState(holesailClient, state) {
+  holesailClient.state = state;
+  events.publish('client.state', serializeClient(holesailClient));
+}
+
+function restartClient(holesailClient) {
+  return mutationLimit(async () => {
+    // Skip if the entry was deleted, replaced by an update or already started in the meantime (or on shutdown)
+    if (shuttingDown || !holesailClients.includes(holesailClient) || holesailClient.hs
+      || holesailClient.runtimeStopped) {
+      return;
+    }
+    await startClient(holesailClient);
+  });
+}
+
+async function handleClientCrash(holesailClient, hs, err) {
+  fastify.log.error(`Client ${holesailClient.id} stopped unexpectedly: ${err.message}`);
+  delete holesailClient.hs;
+  await closeFailedTunnel(hs);
+  supervisor.scheduleRestart(holesailClient, err, () => restartClient(holesailClient));
+  setClientState(holesailClient, 'failed');
+}
+
+async function startClient(holesailClient) {
+  setClientState(holesailClient, 'initializing');
   if (!holesailClient.enabled) {
-    holesailClient.state = 'disabled';
+    setClientState(holesailClient, 'disabled');
     return;
   }
+  let hs = null;
   try {
-    const hs = new Holesail({
+    // The allowlist may have changed since the client was saved, or the client come from an edited data file
+    const hostError = getClientHostError(holesailClient.host);
+    if (hostError) {
+      throw new Error(hostError);
+    }
+    const host = holesailClient.host || clientHost;
+    hs = new Holesail({
       client: true,
       key: holesailClient.key,
       port: holesailClient.port,
-      ...(clientHost ? { host: clientHost } : {}),
+      ...(host ? { host } : {}),
+    });
+    const opening = hs.ready();
+    opening.catch(() => {}); // as in startServer()
+    peers.identifyClient(hs, peers.getClientKeyPair(peerSeed, holesailClient.id), {
+      ownKeyPair: holesailClient.ownKeyPair,
     });
-    await hs.ready();
+    await opening;
+    stats.attachClient(hs);
     holesailClient.hs = hs;
-    holesailClient.state = 'running';
-    fastify.log.info(`Client ${index} started: connecting to ${
+    watchTunnel(holesailClient, hs, (err) => handleClientCrash(holesailClient, hs, err));
+    supervisor.markRunning(holesailClient);
+    setClientState(holesailClient, 'running');
+    fastify.log.info(`Client ${holesailClient.id} started: connecting to ${
       holesailClient.key.substring(0, 8)
-    }... on port ${holesailClient.port}.`);
+    }... on ${holesailClient.host || clientHost}:${holesailClient.port}.`);
   } catch (err) {
-    holesailClient.state = 'failed';
-    fastify.log.error(`Client ${index} failed to start:`, err);
+    fastify.log.error(`Client ${holesailClient.id} failed to start:`, err);
+    if (hs) {
+      await closeFailedTunnel(hs);
+    }
+    supervisor.scheduleRestart(holesailClient, err, () => restartClient(holesailClient));
+    setClientState(holesailClient, 'failed');
   }
 }
 
-async function stopClient(index) {
-  const holesailClient = holesailClients[index];
-  if (holesailClient.hs) {
+async function stopClient(holesailClient) {
+  supervisor.cancelRestart(holesailClient);
+  const hs = holesailClient.hs;
+  if (hs) {
+    delete holesailClient.hs;
     try {
-      await holesailClient.hs.close();
+      await hs.close();
     } catch (err) {
-      fastify.log.error(`Error stopping client ${index}:`, err);
+      fastify.log.error(`Error stopping client ${holesailClient.id}:`, err);
     }
-    delete holesailClient.hs;
   }
-  holesailClient.state = 'stopped';
+  setClientState(holesailClient, 'stopped');
 }
 
 const mutationLimit = pLimit(1);
@@ -206,48 +1072,204 @@ function getBearerTokenFromRequest(request) {
   return authHeader.slice(7);
 }
 
-function signAccessToken(sessionId) {
+function signAccessToken(session) {
   const now = Math.floor(Date.now() / 1000);
   const expiresAt = now + accessTokenExpirySeconds;
   const token = fastify.jwt.sign(
-    { sid: sessionId },
+    { sid: session.sessionId, sub: session.userId },
     { expiresIn: accessTokenExpirySeconds }
   );
   return { token, expiresAt };
 }
 
-async function requireAuth(request, reply) {
-  if (!passwordHash) return; // No auth needed if no password set
-
-  const token = getBearerTokenFromRequest(request);
-  if (!token) {
-    return reply.code(401).send({ error: 'Authentication required' });
-  }
-
+async function authenticateAccessToken(request, reply, token) {
   try {
     const payload = await fastify.jwt.verify(token);
     if (!payload || typeof payload !== 'object' || typeof payload.sid !== 'string') {
       return reply.code(401).send({ error: 'Invalid or expired token' });
     }
-    if (!auth.isSessionActive(payload.sid)) {
+    const user = users.find((candidate) => candidate.id === payload.sub);
+    if (!user || !auth.isSessionActive(payload.sid)) {
       return reply.code(401).send({ error: 'Invalid or expired token' });
     }
-    request.auth = { sessionId: payload.sid };
+    request.auth = { sessionId: payload.sid, expiresAt: payload.exp, userId: user.id, role: user.role };
   } catch {
     return reply.code(401).send({ error: 'Invalid or expired token' });
   }
 }
 
+// API tokens act with the role of their user, or as viewers without the "tunnels:write" scope
+async function authenticateApiToken(request, reply, token) {
+  const apiToken = apitokens.findToken(apiTokens, token);
+  const user = apiToken && users.find((candidate) => candidate.id === apiToken.userId);
+  if (!user) {
+    return reply.code(401).send({ error: 'Invalid or expired token' });
+  }
+  const { scope } = request.routeOptions.config;
+  if (!scope) {
+    return reply.code(403).send({ error: 'API tokens can\'t be used for this route' });
+  }
+  if (!apitokens.hasScope(apiToken, scope)) {
+    return reply.code(403).send({ error: `Token lacks the "${scope}" scope` });
+  }
+  // Without an id, tokens restricted to some tunnels can only read: their results are filtered with canAccessTunnel()
+  const tunnelId = request.params?.id;
+  const allowed = tunnelId === undefined
+    ? scope === 'read' || apiToken.tunnelIds === null
+    : apitokens.allowsTunnel(apiToken, tunnelId);
+  if (!allowed) {
+    return reply.code(403).send({ error: 'Token is restricted to other tunnels' });
+  }
+  apiToken.lastUsedAt = Math.floor(Date.now() / 1000); // saved with the next change, not worth a write per request
+  request.auth = {
+    tokenId: apiToken.id,
+    expiresAt: apiToken.expiresAt,
+    userId: user.id,
+    role: apitokens.hasScope(apiToken, 'tunnels:write') ? user.role : 'viewer',
+    tunnelIds: apiToken.tunnelIds,
+  };
+}
+
+// Log a failed password or two-factor code, and tell when the next attempt is allowed
+function rejectLoginAttempt(request, reply, error, { username }) {
+  const status = loginlimit.getStatus(request.ip);
+  metrics.recordLogin('failure');
+  fastify.log.warn({ ip: request.ip, username, failures: status.failures }, 'Failed login attempt');
+  recordAudit(request, 'auth.login-failed', { details: { username, failures: status.failures } });
+  if (status.lockedOut) {
+    fastify.log.warn({ ip: request.ip, retryAfterSeconds: status.retryAfterSeconds }, 'Login locked out');
+    recordAudit(request, 'auth.lockout', { details: { retryAfterSeconds: status.retryAfterSeconds } });
+  }
+  if (status.globallyThrottled) {
+    fastify.log.warn({ retryAfterSeconds: status.retryAfterSeconds }, 'Too many failed logins from all IPs');
+  }
+  if (status.retryAfterSeconds > 0) {
+    reply.header('Retry-After', String(status.retryAfterSeconds));
+  }
+  return reply.code(401).send({ error });
+}
+
+// Tokens of a successful login, or null when there are too many sessions
+function createLoginSession(request, user) {
+  const session = auth.createSession(user.id, { userAgent: request.headers['user-agent'], ip: request.ip });
+  if (!session) {
+    return null;
+  }
+  const access = signAccessToken(session);
+  return {
+    token: access.token,
+    expiresAt: access.expiresAt,
+    refreshToken: session.refreshToken,
+  };
+}
+
+// Routes declare the role they need as `config: { role }` (viewer by default), and the API token scope that grants
+// access as `config: { scope }` (API tokens are refused without it)
+async function requireAuth(request, reply) {
+  if (users.length === 0) return; // No auth needed if no user exists
+
+  const token = getBearerTokenFromRequest(request);
+  if (!token) {
+    return reply.code(401).send({ error: 'Authentication required' });
+  }
+
+  const authenticate = apitokens.isApiToken(token) ? authenticateApiToken : authenticateAccessToken;
+  await authenticate(request, reply, token);
+  if (reply.sent) {
+    return reply;
+  }
+
+  if (!accounts.hasRole(request.auth.role, request.routeOptions.config.role || 'viewer')) {
+    return reply.code(403).send({ error: 'Insufficient permissions' });
+  }
+}
+
+// Route options by required role and API token scope (the admin routes without a scope can't be used with tokens)
+const readRoute = { preHandler: requireAuth, config: { scope: 'read' } };
+const operatorRoute = { preHandler: requireAuth, config: { role: 'operator', scope: 'tunnels:write' } };
+const tunnelAdminRoute = { preHandler: requireAuth, config: { role: 'admin', scope: 'tunnels:write' } };
+const adminRoute = { preHandler: requireAuth, config: { role: 'admin' } };
+
+// Without any user, everyone is an admin
+function getRole(request) {
+  return request.auth ? request.auth.role : 'admin';
+}
+
+// API tokens can be restricted to some tunnels
+function canAccessTunnel(request, entry) {
+  return !request.auth?.tunnelIds || request.auth.tunnelIds.includes(entry.id);
+}
+
+// Keys (and the connection URLs containing them) are only sent to admins
+function redactKeys(entry) {
+  return { ...entry, key: '', hsInfoUrl: undefined };
+}
+
+// Who made a request, for the audit log (`user` when the request isn't authenticated yet, e.g. a login)
+function getActor(request, user = users.find((candidate) => candidate.id === request?.auth?.userId)) {
+  return {
+    userId: user?.id ?? null,
+    username: user?.username ?? null,
+    ...request?.auth?.sessionId ? { sessionId: request.auth.sessionId } : {},
+    ...request?.auth?.tokenId ? { tokenId: request.auth.tokenId } : {},
+    ip: request?.ip ?? null,
+  };
+}
+
+/**
+ * Record a change in the audit log (failing to write it is logged, but doesn't fail the request)
+ * @param {object | null} request - null for the changes made by the switchboard itself (e.g. a reload)
+ * @param {string} action - e.g. "server.update"
+ * @param {{ target?: object, before?: object | null, after?: object | null, details?: object, user?: object }}
+ *   [options] - `before`/`after` are the stored versions of the target, their differences are recorded
+ */
+function recordAudit(request, action, { target, before = null, after = null, details, user } = {}) {
+  audit.record({
+    actor: getActor(request, user),
+    action,
+    target,
+    changes: (before || after) ? audit.diff(before, after) : undefined,
+    details,
+  }).catch((err) => fastify.log.error('Failed to write the audit log', err));
+}
+
+// Audit log targets, and the stored fields of servers and clients (without their runtime state) to diff
+function serverTarget(server) {
+  return { type: 'server', id: server.id, name: server.name };
+}
+
+function clientTarget(client) {
+  return { type: 'client', id: client.id, name: client.name };
+}
+
+function storedServer(server) {
+  return entries.createServer(server.id, server);
+}
+
+function storedClient(client) {
+  return entries.createClient(client.id, client);
+}
+
+function userTarget(user) {
+  return { type: 'user', id: user.id, name: user.username };
+}
+
 // Register JWT support (used for access tokens)
-fastify.register(require('@fastify/jwt'), {
-  secret: process.env.HSSB_JWT_SECRET || nodeCrypto.randomBytes(32).toString('hex'),
-});
+// The options are read when the server starts, after loadSessions() has set the secret.
+fastify.register(require('@fastify/jwt'), () => ({ secret: jwtSecret }));
 
 // Register static file serving
 fastify.register(require('@fastify/static'), {
   root: path.join(__dirname, 'static'),
 });
 
+// Refuse changes once shutting down: they would be lost, or restart tunnels being stopped
+fastify.addHook('onRequest', async (request, reply) => {
+  if (shuttingDown && request.method !== 'GET' && request.method !== 'HEAD') {
+    return reply.code(503).send({ error: 'The switchboard is shutting down' });
+  }
+});
+
 // Serve the main page
 fastify.get('/', (_request, reply) => {
   reply.sendFile('index.html');
@@ -255,41 +1277,117 @@ fastify.get('/', (_request, reply) => {
 
 // API Routes
 
-// POST /api/auth/login - Login with password
+// POST /api/auth/login - Login with username and password
+// The username may be omitted while there is a single user (as before user accounts existed).
 fastify.post('/api/auth/login', async (request, reply) => {
   try {
-    if (!passwordHash) {
+    if (users.length === 0) {
       return reply.code(400).send({ error: 'No password set' });
     }
 
-    const { password } = request.body || {};
+    const { username, password } = request.body || {};
     if (!password || typeof password !== 'string') {
       return reply.code(400).send({ error: 'Password is required' });
     }
+    if (username === undefined ? users.length > 1 : typeof username !== 'string') {
+      return reply.code(400).send({ error: 'Username is required' });
+    }
 
-    const isValid = await auth.verifyPassword(password, passwordHash);
-    if (!isValid) {
-      return reply.code(401).send({ error: 'Invalid password' });
+    const retryAfterSeconds = loginlimit.beginAttempt(request.ip);
+    if (retryAfterSeconds > 0) {
+      metrics.recordLogin('throttled');
+      reply.header('Retry-After', String(retryAfterSeconds));
+      return reply.code(429).send({ error: 'Too many failed login attempts, try again later', retryAfterSeconds });
     }
 
-    const session = auth.createSession();
-    if (!session) {
+    const user = username === undefined ? users[0] : accounts.findByUsername(users, username);
+    // Verify against some hash even for unknown usernames, so that the response time doesn't reveal them
+    const isValid = await auth.verifyPassword(password, (user || users[0]).passwordHash);
+    if (!user || !isValid) {
+      return rejectLoginAttempt(request, reply, 'Invalid username or password', { username: username?.slice(0, 64) });
+    }
+
+    reply.header('Cache-Control', 'no-store');
+    if (user.totp) {
+      // The failures of the IP are only forgotten once the code is verified too
+      const challenge = fastify.jwt.sign(
+        { typ: '2fa', sub: user.id },
+        { expiresIn: twoFactorChallengeExpirySeconds },
+      );
+      return { success: true, twoFactorRequired: true, challenge };
+    }
+    loginlimit.recordSuccess(request.ip);
+    const tokens = createLoginSession(request, user);
+    if (!tokens) {
       return reply.code(429).send({ error: 'Maximum sessions reached. Please logout from another device.' });
     }
-    const access = signAccessToken(session.sessionId);
+    metrics.recordLogin('success');
+    recordAudit(request, 'auth.login', { user });
+    return { success: true, ...tokens };
+  } catch (err) {
+    fastify.log.error('POST /api/auth/login failed', err);
+    return reply.code(500).send({ error: 'Login failed' });
+  }
+});
+
+// POST /api/auth/login/2fa - Second login step for users with two-factor authentication
+// Body: { challenge (from /api/auth/login), code (from the authenticator app, or a recovery code) }
+fastify.post('/api/auth/login/2fa', async (request, reply) => mutationLimit(async () => {
+  try {
+    const { challenge, code } = request.body || {};
+    if (typeof challenge !== 'string' || typeof code !== 'string') {
+      return reply.code(400).send({ error: 'Challenge and code are required' });
+    }
+
+    const retryAfterSeconds = loginlimit.beginAttempt(request.ip);
+    if (retryAfterSeconds > 0) {
+      metrics.recordLogin('throttled');
+      reply.header('Retry-After', String(retryAfterSeconds));
+      return reply.code(429).send({ error: 'Too many failed login attempts, try again later', retryAfterSeconds });
+    }
 
+    let payload = null;
+    try {
+      payload = await fastify.jwt.verify(challenge);
+    } catch {
+      // expired or forged, see below
+    }
+    const user = payload?.typ === '2fa' && users.find((candidate) => candidate.id === payload.sub);
+    if (!user || !user.totp) {
+      metrics.recordLogin('failure');
+      return reply.code(401).send({ error: 'Login expired, please enter your password again', challengeExpired: true });
+    }
+    const counter = totp.verifyCode(user.totp.secret, code, user.totp.lastCounter);
+    const recoveryCodeIndex = counter === null ? totp.findRecoveryCode(user.totp.recoveryCodeHashes, code) : -1;
+    if (counter === null && recoveryCodeIndex === -1) {
+      return rejectLoginAttempt(request, reply, 'Invalid code', { username: user.username });
+    }
+
+    if (counter !== null) {
+      user.totp.lastCounter = counter; // a code can't be used twice
+    } else {
+      user.totp.recoveryCodeHashes.splice(recoveryCodeIndex, 1);
+      fastify.log.warn({ username: user.username }, 'Recovery code used to log in');
+    }
+    await saveData();
+    loginlimit.recordSuccess(request.ip);
+    const tokens = createLoginSession(request, user);
+    if (!tokens) {
+      return reply.code(429).send({ error: 'Maximum sessions reached. Please logout from another device.' });
+    }
+    metrics.recordLogin('success');
+    recordAudit(request, 'auth.login', { user, details: { recoveryCode: counter === null } });
     reply.header('Cache-Control', 'no-store');
     return {
       success: true,
-      token: access.token,
-      expiresAt: access.expiresAt,
-      refreshToken: session.refreshToken,
+      ...tokens,
+      ...counter === null ? { recoveryCodesLeft: user.totp.recoveryCodeHashes.length } : {},
     };
   } catch (err) {
-    fastify.log.error('POST /api/auth/login failed', err);
+    fastify.log.error('POST /api/auth/login/2fa failed', err);
     return reply.code(500).send({ error: 'Login failed' });
   }
-});
+}));
 
 // POST /api/auth/logout - Logout (invalidate session)
 fastify.post('/api/auth/logout', async (request, reply) => {
@@ -311,12 +1409,12 @@ fastify.post('/api/auth/logout', async (request, reply) => {
 fastify.post('/api/auth/refresh', async (request, reply) => {
   try {
     const { refreshToken } = request.body || {};
-    const session = auth.refreshSession(refreshToken);
+    const session = auth.refreshSession(refreshToken, { userAgent: request.headers['user-agent'], ip: request.ip });
     if (!session) {
       return reply.code(401).send({ error: 'Invalid session' });
     }
 
-    const access = signAccessToken(session.sessionId);
+    const access = signAccessToken(session);
     reply.header('Cache-Control', 'no-store');
     return {
       success: true,
@@ -330,299 +1428,1113 @@ fastify.post('/api/auth/refresh', async (request, reply) => {
   }
 });
 
-// POST /api/auth/set-password - Set or change password
-fastify.post(
-  '/api/auth/set-password',
-  { preHandler: requireAuth },
-  async (request, reply) => mutationLimit(async () => {
+// GET /api/auth/sessions - List the devices where the current user is logged in
+fastify.get('/api/auth/sessions', { preHandler: requireAuth }, async (request) => {
+  if (!request.auth) {
+    return { sessions: [] }; // the login is disabled
+  }
+  return {
+    sessions: auth.listUserSessions(request.auth.userId).map((session) => ({
+      ...session,
+      current: session.id === request.auth.sessionId,
+    })),
+  };
+});
+
+// DELETE /api/auth/sessions/:id - Log out one of the devices of the current user
+fastify.delete('/api/auth/sessions/:id', { preHandler: requireAuth }, async (request, reply) => {
+  if (!request.auth || auth.getSessionUserId(request.params.id) !== request.auth.userId) {
+    return reply.code(404).send({ error: 'Session not found' });
+  }
+  auth.invalidateSession(request.params.id);
+  recordAudit(request, 'auth.session-revoke', { details: { sessionId: request.params.id } });
+  // The event stream of the device stays authorized otherwise, until its access token expires
+  events.closeSession(request.params.id);
+  return { success: true };
+});
+
+// POST /api/auth/totp/setup - Generate a two-factor secret for the current user (enabled by /api/auth/totp/enable)
+fastify.post('/api/auth/totp/setup', { preHandler: requireAuth }, async (request, reply) => {
+  const user = request.auth && users.find((candidate) => candidate.id === request.auth.userId);
+  if (!user) {
+    return reply.code(400).send({ error: 'Set a password before enabling two-factor authentication' });
+  }
+  if (user.totp) {
+    return reply.code(409).send({ error: 'Two-factor authentication is already enabled' });
+  }
+  for (const [userId, pending] of pendingTotpSecrets) {
+    if (Date.now() - pending.createdAt < twoFactorSetupExpirySeconds * 1000) {
+      break; // the rest started more recently
+    }
+    pendingTotpSecrets.delete(userId);
+  }
+  const secret = totp.generateSecret();
+  pendingTotpSecrets.delete(user.id); // moved last
+  pendingTotpSecrets.set(user.id, { secret, createdAt: Date.now() });
+  reply.header('Cache-Control', 'no-store');
+  return {
+    secret,
+    uri: totp.getOtpauthUri(secret, { issuer: subtitle || 'Holesail Switchboard', accountName: user.username }),
+  };
+});
+
+// POST /api/auth/totp/enable - Enable two-factor authentication once a first code proves the app is set up
+// Body: { code }. Returns the recovery codes, which are only shown this once.
+fastify.post('/api/auth/totp/enable', { preHandler: requireAuth }, async (request, reply) => mutationLimit(async () => {
+  try {
+    const user = request.auth && users.find((candidate) => candidate.id === request.auth.userId);
+    const pending = user && pendingTotpSecrets.get(user.id);
+    if (!pending) {
+      return reply.code(400).send({ error: 'Start the two-factor setup first' });
+    }
+    if (Date.now() - pending.createdAt >= twoFactorSetupExpirySeconds * 1000) {
+      pendingTotpSecrets.delete(user.id);
+      return reply.code(400).send({ error: 'The two-factor setup expired, please start it again' });
+    }
+    const { secret } = pending;
+    const counter = totp.verifyCode(secret, request.body?.code);
+    if (counter === null) {
+      return reply.code(400).send({ error: 'Invalid code, check the time of the device' });
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+    user.totp = { secret, lastCounter: counter, recoveryCodeHashes: recoveryCodes.hashes };
+    pendingTotpSecrets.delete(user.id);
+    await saveData();
+    recordAudit(request, 'auth.totp-enable', { target: userTarget(user) });
+    reply.header('Cache-Control', 'no-store');
+    return { success: true, recoveryCodes: recoveryCodes.codes };
+  } catch (err) {
+    fastify.log.error('POST /api/auth/totp/enable failed', err);
+    return reply.code(500).send({ error: 'Error enabling two-factor authentication' });
+  }
+}));
+
+// POST /api/auth/totp/recovery-codes - Replace the recovery codes of the current user. Body: { password }
+// POST /api/auth/totp/disable - Disable two-factor authentication for the current user. Body: { password }
+for (const action of ['recovery-codes', 'disable']) {
+  fastify.post(
+    `/api/auth/totp/${action}`,
+    { preHandler: requireAuth },
+    async (request, reply) => mutationLimit(async () => {
+    try {
+      const user = request.auth && users.find((candidate) => candidate.id === request.auth.userId);
+      if (!user?.totp) {
+        return reply.code(400).send({ error: 'Two-factor authentication is not enabled' });
+      }
+      const { password } = request.body || {};
+      if (typeof password !== 'string' || !await auth.verifyPassword(password, user.passwordHash)) {
+        return reply.code(400).send({ error: 'Password is incorrect' });
+      }
+
+      reply.header('Cache-Control', 'no-store');
+      if (action === 'disable') {
+        delete user.totp;
+        await saveData();
+        recordAudit(request, 'auth.totp-disable', { target: userTarget(user) });
+        return { success: true };
+      }
+      const recoveryCodes = totp.generateRecoveryCodes();
+      user.totp.recoveryCodeHashes = recoveryCodes.hashes;
+      await saveData();
+      recordAudit(request, 'auth.totp-recovery-codes', { target: userTarget(user) });
+      return { success: true, recoveryCodes: recoveryCodes.codes };
+    } catch (err) {
+      fastify.log.error(`POST /api/auth/totp/${action} failed`, err);
+      return reply.code(500).send({ error: 'Error updating two-factor authentication' });
+    }
+  }));
+}
+
+// POST /api/auth/set-password - Set the first password (creating an admin user), or change your own password
+// Removing the password of the last user disables the login again.
+fastify.post(
+  '/api/auth/set-password',
+  { preHandler: requireAuth },
+  async (request, reply) => mutationLimit(async () => {
+  try {
+    const { currentPassword, newPassword, username = 'admin' } = request.body || {};
+
+    // Validate new password
+    if (typeof newPassword !== 'string') {
+      return reply.code(400).send({ error: 'New password is required' });
+    }
+
+    if (users.length === 0) {
+      if (!accounts.isValidUsername(username)) {
+        return reply.code(400).send({ error: 'Invalid username' });
+      }
+      if (newPassword) {
+        const user = accounts.createUser(username, 'admin', await auth.hashPassword(newPassword));
+        users.push(user);
+        recordAudit(request, 'user.create', { target: userTarget(user), after: user });
+      }
+    } else {
+      const user = users.find((candidate) => candidate.id === request.auth.userId);
+
+      // Verify current password
+      if (!currentPassword || typeof currentPassword !== 'string') {
+        return reply.code(400).send({ error: 'Current password is required' });
+      }
+      const isValid = await auth.verifyPassword(currentPassword, user.passwordHash);
+      if (!isValid) {
+        return reply.code(400).send({ error: 'Current password is incorrect' });
+      }
+
+      if (newPassword) {
+        user.passwordHash = await auth.hashPassword(newPassword);
+        // Invalidate the other sessions of the user on password change
+        auth.invalidateUserSessions(user.id, request.auth.sessionId);
+        recordAudit(request, 'auth.password-change', { target: userTarget(user) });
+      } else {
+        if (users.length > 1) {
+          return reply.code(400).send({ error: 'Delete the other users before removing the login password' });
+        }
+        // Recorded as the user, before the user is removed
+        recordAudit(request, 'user.delete', {
+          target: userTarget(user), before: user, details: { loginDisabled: true },
+        });
+        users.length = 0;
+        apiTokens.length = 0;
+        auth.invalidateAllSessions(request.auth.sessionId);
+      }
+    }
+    await saveData();
+    // Open event streams were authorized under the previous password
+    events.closeAll();
+
+    return {
+      success: true,
+    };
+  } catch (err) {
+    fastify.log.error(`POST /api/auth/set-password failed: ${err}`);
+    return reply.code(500).send({ error: 'Failed to set password' });
+  }
+}));
+
+fastify.get('/api/auth/required', async (_request, _reply) => {
+  return {
+    authRequired: users.length > 0,
+  };
+});
+
+// GET /api/users - List users
+fastify.get('/api/users', adminRoute, async () => {
+  return { users: users.map(accounts.serializeUser), roles: accounts.roles };
+});
+
+// POST /api/users - Create user
+fastify.post('/api/users', adminRoute, async (request, reply) => mutationLimit(async () => {
+  try {
+    const { username, password, role } = request.body || {};
+    if (!accounts.isValidUsername(username)) {
+      return reply.code(400).send({ error: 'Username must be 1 to 64 letters, digits or ._@- characters' });
+    }
+    if (accounts.findByUsername(users, username)) {
+      return reply.code(409).send({ error: 'Username already exists' });
+    }
+    if (!password || typeof password !== 'string') {
+      return reply.code(400).send({ error: 'Password is required' });
+    }
+    if (!accounts.isValidRole(role)) {
+      return reply.code(400).send({ error: 'Invalid role' });
+    }
+    if (users.length === 0 && role !== 'admin') {
+      return reply.code(400).send({ error: 'The first user must be an admin' });
+    }
+
+    const user = accounts.createUser(username, role, await auth.hashPassword(password));
+    users.push(user);
+    await saveData();
+    recordAudit(request, 'user.create', { target: userTarget(user), after: user });
+    if (users.length === 1) {
+      // The dashboard was open until now
+      events.closeAll();
+    }
+    return { success: true, id: user.id };
+  } catch (err) {
+    fastify.log.error('POST /api/users failed', err);
+    return reply.code(500).send({ error: 'Error creating user' });
+  }
+}));
+
+// PATCH /api/users/:id - Update the username, role and/or password of a user (omitted fields are kept)
+// `totpEnabled: false` disables the two-factor authentication of a user who lost their authenticator app.
+fastify.patch('/api/users/:id', adminRoute, async (request, reply) => mutationLimit(async () => {
+  try {
+    const user = users.find((candidate) => candidate.id === request.params.id);
+    if (!user) {
+      return reply.code(404).send({ error: 'User not found' });
+    }
+    const { username = user.username, role = user.role, password, totpEnabled } = request.body || {};
+    if (!accounts.isValidUsername(username)) {
+      return reply.code(400).send({ error: 'Username must be 1 to 64 letters, digits or ._@- characters' });
+    }
+    const existingUser = accounts.findByUsername(users, username);
+    if (existingUser && existingUser !== user) {
+      return reply.code(409).send({ error: 'Username already exists' });
+    }
+    if (password !== undefined && (!password || typeof password !== 'string')) {
+      return reply.code(400).send({ error: 'Password must be a non-empty string' });
+    }
+    if (!accounts.isValidRole(role)) {
+      return reply.code(400).send({ error: 'Invalid role' });
+    }
+    if (totpEnabled !== undefined && totpEnabled !== false) {
+      return reply.code(400).send({ error: 'totpEnabled can only be set to false' });
+    }
+    if (user.role === 'admin' && role !== 'admin' && users.filter((other) => other.role === 'admin').length === 1) {
+      return reply.code(409).send({ error: 'At least one admin is required' });
+    }
+
+    const previous = { ...user };
+    user.username = username;
+    user.role = role;
+    if (password !== undefined) {
+      user.passwordHash = await auth.hashPassword(password);
+      auth.invalidateUserSessions(user.id, request.auth?.sessionId);
+    }
+    if (totpEnabled === false) {
+      delete user.totp;
+    }
+    await saveData();
+    recordAudit(request, 'user.update', { target: userTarget(user), before: previous, after: user });
+    // Open event streams of the user were authorized with the previous role
+    events.closeAll();
+    return { success: true };
+  } catch (err) {
+    fastify.log.error('PATCH /api/users/:id failed', err);
+    return reply.code(500).send({ error: 'Error updating user' });
+  }
+}));
+
+// DELETE /api/users/:id - Delete user (and end their sessions)
+fastify.delete('/api/users/:id', adminRoute, async (request, reply) => mutationLimit(async () => {
+  try {
+    const index = users.findIndex((candidate) => candidate.id === request.params.id);
+    if (index === -1) {
+      return reply.code(404).send({ error: 'User not found' });
+    }
+    if (users[index].role === 'admin' && users.filter((other) => other.role === 'admin').length === 1) {
+      return reply.code(409).send({ error: 'At least one admin is required' });
+    }
+
+    const [user] = users.splice(index, 1);
+    auth.invalidateUserSessions(user.id);
+    pendingTotpSecrets.delete(user.id);
+    apiTokens.splice(0, apiTokens.length, ...apiTokens.filter((apiToken) => apiToken.userId !== user.id));
+    await saveData();
+    recordAudit(request, 'user.delete', { target: userTarget(user), before: user });
+    events.closeAll();
+    return { success: true };
+  } catch (err) {
+    fastify.log.error('DELETE /api/users/:id failed', err);
+    return reply.code(500).send({ error: 'Error deleting user' });
+  }
+}));
+
+// GET /api/tokens - List API tokens (without the tokens themselves)
+fastify.get('/api/tokens', adminRoute, async () => {
+  return { tokens: apiTokens.map(apitokens.serializeToken), scopes: apitokens.scopes };
+});
+
+// POST /api/tokens - Create an API token for the current user
+// Body: { name, scopes, tunnelIds (null for all tunnels), expiresAt (Unix time, null for never) }.
+// The token is only returned here: store it right away.
+fastify.post('/api/tokens', adminRoute, async (request, reply) => mutationLimit(async () => {
   try {
-    const { currentPassword, newPassword } = request.body || {};
-
-    // Validate new password
-    if (typeof newPassword !== 'string') {
-      return reply.code(400).send({ error: 'New password is required' });
+    if (!request.auth) {
+      return reply.code(400).send({ error: 'Set a password before creating API tokens' });
+    }
+    const { name, scopes, tunnelIds = null, expiresAt = null } = request.body || {};
+    const knownTunnelIds = new Set([...holesailServers, ...holesailClients].map((entry) => entry.id));
+    const validationError = apitokens.getTokenError({ name, scopes, tunnelIds, expiresAt }, knownTunnelIds);
+    if (validationError) {
+      return reply.code(400).send({ error: validationError });
+    }
+    if (apitokens.maxTokens <= apiTokens.length) {
+      return reply.code(409).send({ error: `At most ${apitokens.maxTokens} API tokens can exist` });
     }
 
-    // If password already exists, require authentication
-    if (passwordHash) {
-      // Verify current password
-      if (!currentPassword || typeof currentPassword !== 'string') {
-        return reply.code(400).send({ error: 'Current password is required' });
-      }
-
-      const isValid = await auth.verifyPassword(currentPassword, passwordHash);
-      if (!isValid) {
-        return reply.code(400).send({ error: 'Current password is incorrect' });
-      }
+    const { token, apiToken } = apitokens.createToken(request.auth.userId, { name, scopes, tunnelIds, expiresAt });
+    apiTokens.push(apiToken);
+    await saveData();
+    recordAudit(request, 'token.create', {
+      target: { type: 'token', id: apiToken.id, name: apiToken.name },
+      after: apitokens.serializeToken(apiToken),
+    });
+    reply.header('Cache-Control', 'no-store');
+    return { success: true, token, ...apitokens.serializeToken(apiToken) };
+  } catch (err) {
+    fastify.log.error('POST /api/tokens failed', err);
+    return reply.code(500).send({ error: 'Error creating API token' });
+  }
+}));
 
-      // Invalidate all other sessions on password change
-      auth.invalidateAllSessions(request.auth.sessionId);
+// DELETE /api/tokens/:id - Revoke an API token
+fastify.delete('/api/tokens/:id', adminRoute, async (request, reply) => mutationLimit(async () => {
+  try {
+    const index = apiTokens.findIndex((apiToken) => apiToken.id === request.params.id);
+    if (index === -1) {
+      return reply.code(404).send({ error: 'API token not found' });
     }
 
-    // Hash and store new password
-    if (newPassword) {
-      passwordHash = await auth.hashPassword(newPassword);
-    } else {
-      passwordHash = null;
-    }
+    const [apiToken] = apiTokens.splice(index, 1);
     await saveData();
-
-    return {
-      success: true,
-    };
+    recordAudit(request, 'token.revoke', {
+      target: { type: 'token', id: apiToken.id, name: apiToken.name },
+      before: apitokens.serializeToken(apiToken),
+    });
+    // Event streams may have been opened with the token
+    events.closeAll();
+    return { success: true };
   } catch (err) {
-    fastify.log.error(`POST /api/auth/set-password failed: ${err}`);
-    return reply.code(500).send({ error: 'Failed to set password' });
+    fastify.log.error('DELETE /api/tokens/:id failed', err);
+    return reply.code(500).send({ error: 'Error revoking API token' });
   }
 }));
 
-fastify.get('/api/auth/required', async (_request, _reply) => {
-  return {
-    authRequired: Boolean(passwordHash),
-  };
+// GET /api/audit - Audit log, newest first
+// Query: limit (default 50, at most 500), before (nextBefore of the previous page), action ("server.update", or a
+// prefix like "server."), targetId, userId, since and until (Unix times).
+fastify.get('/api/audit', adminRoute, async (request, reply) => {
+  const { limit, before, action, targetId, userId, since, until } = request.query || {};
+  if (![action, targetId, userId].every((value) => value === undefined || typeof value === 'string')) {
+    return reply.code(400).send({ error: 'Filters must be given once' });
+  }
+  const numbers = {};
+  for (const [name, value] of Object.entries({ limit, before, since, until })) {
+    if (value !== undefined) {
+      numbers[name] = Number(value);
+      if (!Number.isSafeInteger(numbers[name]) || numbers[name] < 0) {
+        return reply.code(400).send({ error: `${name} must be a non-negative integer` });
+      }
+    }
+  }
+  try {
+    return await audit.query({ ...numbers, action, targetId, userId });
+  } catch (err) {
+    fastify.log.error('GET /api/audit failed', err);
+    return reply.code(500).send({ error: 'Error reading the audit log' });
+  }
 });
 
 // GET /api/settings - Return all servers/clients with state
-fastify.get('/api/settings', { preHandler: requireAuth }, async (_request, _reply) => {
+// Optional query parameters: ?tag=<tag> (repeatable, all must match) and ?search=<text>
+fastify.get('/api/settings', readRoute, async (request, reply) => {
+  const { tag, search } = request.query || {};
+  const filter = {
+    tags: (tag === undefined ? [] : [].concat(tag)),
+    search: search ?? '',
+  };
+  if (!filter.tags.every((filterTag) => typeof filterTag === 'string') || typeof filter.search !== 'string') {
+    return reply.code(400).send({ error: 'Invalid filter' });
+  }
+  const role = getRole(request);
+  const redact = accounts.hasRole(role, 'admin') ? (entry) => entry : redactKeys;
+  const user = request.auth && users.find((candidate) => candidate.id === request.auth.userId);
   return {
-    servers: holesailServers.map((server) => ({
-      ...server,
-      hs: undefined,
-      ...server.hs ? { hsInfoUrl: server.hs.info.url } : {},
-    })),
-    clients: holesailClients.map((client) => ({
-      ...client,
-      hs: undefined,
-    })),
+    servers: holesailServers.filter((server) => canAccessTunnel(request, server) && matchesFilter(server, filter))
+      .map(serializeServer).map(redact),
+    clients: holesailClients.filter((client) => canAccessTunnel(request, client) && matchesFilter(client, filter))
+      .map(serializeClient).map(redact),
     ...subtitle ? { subtitle } : {},
     ...clientLinkDomain ? { clientLinkDomain } : {},
     fixedClientPorts: Boolean(fixedClientPortsString),
-    authRequired: Boolean(passwordHash),
+    clientHost,
+    allowedClientHosts: allowedClientHosts && [...allowedClientHosts],
+    config: configFile ? {
+      ...configStatus,
+      drift: getConfigDrift().filter((item) => canAccessTunnel(request, item)),
+    } : null,
+    authRequired: users.length > 0,
+    user: user ? accounts.serializeUser(user) : null,
+    role,
   };
 });
 
-// POST /api/servers - Create new server
-fastify.post('/api/servers', { preHandler: requireAuth }, async (request, reply) => mutationLimit(async () => {
-  try {
-    const { host, port, key, secure, enabled } = request.body || {};
+// GET /api/servers/:id/stats - Connection and traffic statistics of a server
+fastify.get('/api/servers/:id/stats', readRoute, async (request, reply) => {
+  const holesailServer = holesailServers[findServerIndex(request.params.id)];
+  if (!holesailServer) {
+    return reply.code(404).send({ error: 'Server not found' });
+  }
+  return {
+    id: holesailServer.id,
+    state: holesailServer.state,
+    stats: holesailServer.hs ? stats.getServerStats(holesailServer.hs) : null,
+  };
+});
 
-    if (!isValidHost(host)) {
-      return reply.code(400).send({ error: 'Invalid host' });
-    }
-    if (!isValidPort(port)) {
-      return reply.code(400).send({ error: 'Invalid port' });
-    }
-    if (!isValidServerKey(key)) {
-      return reply.code(400).send({ error: 'Key must be a string of at least 64 characters' });
-    }
-    if (typeof secure !== 'boolean') {
-      return reply.code(400).send({ error: 'Secure must be a boolean' });
-    }
-    if (typeof enabled !== 'boolean') {
-      return reply.code(400).send({ error: 'Enabled must be a boolean' });
-    }
-    if (enabled) {
-      if (key === '') {
-        return reply.code(400).send({ error: 'Key is required when server is enabled' });
-      }
-      if (host === '') {
-        return reply.code(400).send({ error: 'Host is required when server is enabled' });
+// GET /api/events - Server-Sent Events stream of tunnel changes
+// Event types: server.created, server.updated, server.deleted, server.state (and the same for clients).
+// The payload is the entry as returned by /api/settings, or { id } for deletions.
+fastify.get('/api/events', readRoute, async (request, reply) => {
+  reply.hijack();
+  const redact = !accounts.hasRole(getRole(request), 'admin');
+  const transform = (redact || request.auth?.tunnelIds)
+    ? (data) => {
+      if (!canAccessTunnel(request, data)) {
+        return null;
       }
-      if (port === 0) {
-        return reply.code(400).send({ error: 'Port is required when server is enabled' });
+      return (redact && 'key' in data) ? redactKeys(data) : data;
+    }
+    : null;
+  const { expiresAt, sessionId } = request.auth || {};
+  if (!events.subscribe(reply.raw, { expiresAt, sessionId, transform })) {
+    reply.raw.writeHead(429, { 'Content-Type': 'application/json' });
+    reply.raw.end(JSON.stringify({ error: 'Too many event streams' }));
+  }
+});
+
+// The scraper authenticates with HSSB_METRICS_TOKEN when it is set, otherwise like any API client
+async function requireMetricsAuth(request, reply) {
+  if (!metricsToken) {
+    return requireAuth(request, reply);
+  }
+  const token = getBearerTokenFromRequest(request) || '';
+  const expected = nodeCrypto.createHash('sha256').update(metricsToken).digest();
+  if (!nodeCrypto.timingSafeEqual(nodeCrypto.createHash('sha256').update(token).digest(), expected)) {
+    return reply.code(401).send({ error: 'Invalid metrics token' });
+  }
+}
+
+// Prometheus samples of the servers or clients a request may see
+function getTunnelSamples(request, kind) {
+  const tunnels = (kind === 'server' ? holesailServers : holesailClients)
+    .filter((entry) => canAccessTunnel(request, entry));
+  return tunnels.map((entry) => ({
+    entry,
+    labels: { kind, id: entry.id, name: entry.name },
+    stats: entry.hs ? (kind === 'server' ? stats.getServerStats(entry.hs) : stats.getClientStats(entry.hs)) : null,
+  }));
+}
+
+// GET /healthz - Liveness, for container orchestration (no authentication, not logged)
+// Fails when the data file can't be written, since no change could be saved.
+fastify.get('/healthz', { logLevel: 'warn' }, async (_request, reply) => {
+  try {
+    await fs.access(path.dirname(dataFile), fs.constants.W_OK);
+    await fs.access(dataFile, fs.constants.W_OK).catch((err) => {
+      if (err.code !== 'ENOENT') {
+        throw err;
       }
+    });
+    return { status: 'ok' };
+  } catch (err) {
+    return reply.code(503).send({ status: 'error', error: `Data file is not writable (${err.code || err.message})` });
+  }
+});
+
+// GET /readyz - Readiness (no authentication, not logged): the data file is loaded and no enabled tunnel is still
+// initializing. Failed tunnels are listed (by id only, the endpoint being public) but don't make it unready.
+fastify.get('/readyz', { logLevel: 'warn' }, async (_request, reply) => {
+  const tunnels = [
+    ...holesailServers.map((entry) => ({ kind: 'server', entry })),
+    ...holesailClients.map((entry) => ({ kind: 'client', entry })),
+  ];
+  const enabled = tunnels.filter(({ entry }) => entry.enabled);
+  const initializing = enabled.filter(({ entry }) => !entry.state || entry.state === 'initializing').length;
+  const failed = enabled.filter(({ entry }) => entry.state === 'failed').map(({ kind, entry }) => ({
+    kind,
+    id: entry.id,
+    nextRetryAt: entry.restartStatus?.nextRetryAt ?? null,
+  }));
+  const running = enabled.filter(({ entry }) => entry.state === 'running').length;
+  const ready = dataLoaded && initializing === 0;
+  return reply.code(ready ? 200 : 503).send({
+    ready,
+    dataLoaded,
+    tunnels: { enabled: enabled.length, initializing, running },
+    failed,
+  });
+});
+
+// GET /metrics - Prometheus metrics (text exposition format)
+// Byte and connection counters restart from 0 when their tunnel restarts, which Prometheus treats as a counter reset.
+fastify.get('/metrics', { preHandler: requireMetricsAuth, config: { scope: 'read' } }, async (request, reply) => {
+  const tunnels = [...getTunnelSamples(request, 'server'), ...getTunnelSamples(request, 'client')];
+  const withStats = tunnels.filter((tunnel) => tunnel.stats);
+  // Every state is reported (with 0 when no tunnel is in it), so that the series don't disappear
+  const stateCountSamples = ['server', 'client'].flatMap((kind) => tunnelStates.map((state) => ({
+    labels: { kind, state },
+    value: tunnels.filter(({ entry, labels }) => labels.kind === kind && entry.state === state).length,
+  })));
+  const loginCounts = metrics.getLoginCounts();
+
+  reply.header('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  return metrics.render([
+    {
+      name: 'hssb_tunnels',
+      help: 'Number of tunnels by kind and state',
+      type: 'gauge',
+      samples: stateCountSamples,
+    },
+    {
+      name: 'hssb_tunnel_up',
+      help: 'Whether the tunnel is running (1) or not (0)',
+      type: 'gauge',
+      samples: tunnels.map(({ entry, labels }) => ({ labels, value: entry.state === 'running' ? 1 : 0 })),
+    },
+    {
+      name: 'hssb_tunnel_restarts_total',
+      help: 'Automatic restarts of the tunnel after a failure, since the switchboard started',
+      type: 'counter',
+      samples: tunnels.map(({ entry, labels }) => ({ labels, value: supervisor.getRestartCount(entry) })),
+    },
+    {
+      name: 'hssb_tunnel_peers',
+      help: 'Distinct peers connected to the server',
+      type: 'gauge',
+      samples: withStats.filter(({ labels }) => labels.kind === 'server')
+        .map(({ labels, stats: tunnelStats }) => ({ labels, value: tunnelStats.peers })),
+    },
+    {
+      name: 'hssb_tunnel_rejected_peers_total',
+      help: 'Connection attempts the server rejected because of its peer allowlist, since the switchboard started',
+      type: 'counter',
+      samples: tunnels.filter(({ labels }) => labels.kind === 'server')
+        .map(({ entry, labels }) => ({ labels, value: peers.getRejections(entry).count })),
+    },
+    {
+      name: 'hssb_tunnel_connections',
+      help: 'Open connections through the tunnel',
+      type: 'gauge',
+      samples: withStats.map(({ labels, stats: tunnelStats }) => ({ labels, value: tunnelStats.connections })),
+    },
+    {
+      name: 'hssb_tunnel_connections_total',
+      help: 'Connections through the tunnel since it started',
+      type: 'counter',
+      samples: withStats.map(({ labels, stats: tunnelStats }) => ({ labels, value: tunnelStats.totalConnections })),
+    },
+    {
+      name: 'hssb_tunnel_received_bytes_total',
+      help: 'Bytes received from peers since the tunnel started (including encryption overhead)',
+      type: 'counter',
+      samples: withStats.map(({ labels, stats: tunnelStats }) => ({ labels, value: tunnelStats.bytesIn })),
+    },
+    {
+      name: 'hssb_tunnel_sent_bytes_total',
+      help: 'Bytes sent to peers since the tunnel started (including encryption overhead)',
+      type: 'counter',
+      samples: withStats.map(({ labels, stats: tunnelStats }) => ({ labels, value: tunnelStats.bytesOut })),
+    },
+    {
+      name: 'hssb_logins_total',
+      help: 'Login attempts since the switchboard started, by result',
+      type: 'counter',
+      samples: metrics.loginResults.map((result) => ({ labels: { result }, value: loginCounts[result] })),
+    },
+    {
+      name: 'hssb_sessions',
+      help: 'Active login sessions',
+      type: 'gauge',
+      samples: [{ value: auth.getSessionCount() }],
+    },
+  ]);
+});
+
+// POST /api/servers/generate-key - Generate a random server key
+fastify.post('/api/servers/generate-key', tunnelAdminRoute, async (_request, reply) => {
+  reply.header('Cache-Control', 'no-store');
+  return { key: entries.generateServerKey() };
+});
+
+// POST /api/servers - Create new server (a random key is generated when `key` is omitted)
+fastify.post('/api/servers', tunnelAdminRoute, async (request, reply) => mutationLimit(async () => {
+  try {
+    const {
+      host,
+      port,
+      key = entries.generateServerKey(),
+      secure,
+      allowedPeers = [],
+      enabled,
+      name = '',
+      description = '',
+      tags = [],
+      restartPolicy = supervisor.getDefaultRestartPolicy(),
+    } = request.body || {};
+
+    const validationError = entries.getServerError({
+      host, port, key, secure, allowedPeers, enabled, name, description, tags, restartPolicy,
+    });
+    if (validationError) {
+      return reply.code(400).send({ error: validationError });
     }
 
-    holesailServers.push({ host, port, key, secure, enabled });
-    const index = holesailServers.length - 1;
+    const holesailServer = entries.createServer(nodeCrypto.randomUUID(), {
+      host, port, key, secure, allowedPeers, enabled, name, description, tags, restartPolicy,
+    });
+    holesailServers.push(holesailServer);
     await saveData();
-    await startServer(index);
-    return { success: true, index };
+    recordAudit(request, 'server.create', { target: serverTarget(holesailServer), after: holesailServer });
+    events.publish('server.created', serializeServer(holesailServer));
+    await startServer(holesailServer);
+    return { success: true, id: holesailServer.id };
   } catch (err) {
     fastify.log.error('POST /api/servers failed', err);
     return reply.code(500).send({ error: 'Error creating server' });
   }
 }));
 
-// PATCH /api/servers/:index - Update server
-fastify.patch('/api/servers/:index', { preHandler: requireAuth }, async (request, reply) => mutationLimit(async () => {
+// PATCH /api/servers/:id - Update server
+fastify.patch('/api/servers/:id', tunnelAdminRoute, async (request, reply) => mutationLimit(async () => {
   try {
-    const index = parseInt(request.params.index, 10);
-    if (typeof index !== 'number' || Number.isNaN(index) || index < 0 || index >= holesailServers.length) {
+    const index = findServerIndex(request.params.id);
+    if (index === -1) {
       return reply.code(404).send({ error: 'Server not found' });
     }
-
-    const { host, port, key, secure, enabled } = request.body;
-    if (!isValidHost(host)) {
-      return reply.code(400).send({ error: 'Invalid host' });
-    }
-    if (!isValidPort(port)) {
-      return reply.code(400).send({ error: 'Invalid port' });
-    }
-    if (!isValidServerKey(key)) {
-      return reply.code(400).send({ error: 'Key must be a string of at least 64 characters' });
-    }
-    if (typeof secure !== 'boolean') {
-      return reply.code(400).send({ error: 'Secure must be a boolean' });
-    }
-    if (typeof enabled !== 'boolean') {
-      return reply.code(400).send({ error: 'Enabled must be a boolean' });
+    if (isDeclared(holesailServers[index])) {
+      return reply.code(403).send({ error: 'Server is declared in the config file' });
     }
-    if (enabled) {
-      if (key === '') {
-        return reply.code(400).send({ error: 'Key is required when server is enabled' });
-      }
-      if (host === '') {
-        return reply.code(400).send({ error: 'Host is required when server is enabled' });
-      }
-      if (port === 0) {
-        return reply.code(400).send({ error: 'Port is required when server is enabled' });
-      }
+
+    const {
+      host,
+      port,
+      key,
+      secure,
+      allowedPeers = holesailServers[index].allowedPeers ?? [],
+      enabled,
+      name = holesailServers[index].name,
+      description = holesailServers[index].description,
+      tags = holesailServers[index].tags,
+      restartPolicy = holesailServers[index].restartPolicy,
+    } = request.body;
+    const validationError = entries.getServerError({
+      host, port, key, secure, allowedPeers, enabled, name, description, tags, restartPolicy,
+    });
+    if (validationError) {
+      return reply.code(400).send({ error: validationError });
     }
 
-    await stopServer(index);
-    holesailServers[index] = { host, port, key, secure, enabled };
-    await startServer(index);
+    const previous = storedServer(holesailServers[index]);
+    await stopServer(holesailServers[index]);
+    holesailServers[index] = entries.createServer(holesailServers[index].id, {
+      host, port, key, secure, allowedPeers, enabled, name, description, tags, restartPolicy,
+    });
+    events.publish('server.updated', serializeServer(holesailServers[index]));
+    await startServer(holesailServers[index]);
     await saveData();
+    recordAudit(request, 'server.update', {
+      target: serverTarget(holesailServers[index]), before: previous, after: storedServer(holesailServers[index]),
+    });
     return { success: true };
   } catch (err) {
-    fastify.log.error('PATCH /api/servers/:index failed', err);
+    fastify.log.error('PATCH /api/servers/:id failed', err);
     return reply.code(500).send({ error: 'Error updating server' });
   }
 }));
 
-// DELETE /api/servers/:index - Delete server
-fastify.delete('/api/servers/:index', { preHandler: requireAuth }, async (request, reply) => mutationLimit(async () => {
+// DELETE /api/servers/:id - Delete server
+fastify.delete('/api/servers/:id', tunnelAdminRoute, async (request, reply) => mutationLimit(async () => {
   try {
-    const index = parseInt(request.params.index, 10);
-    if (typeof index !== 'number' || Number.isNaN(index) || index < 0 || index >= holesailServers.length) {
+    const index = findServerIndex(request.params.id);
+    if (index === -1) {
       return reply.code(404).send({ error: 'Server not found' });
     }
+    if (isDeclared(holesailServers[index])) {
+      return reply.code(403).send({ error: 'Server is declared in the config file' });
+    }
 
     // Stop the server
-    await stopServer(index);
+    await stopServer(holesailServers[index]);
 
     // Remove from data
-    holesailServers.splice(index, 1);
+    const [holesailServer] = holesailServers.splice(index, 1);
     await saveData();
+    recordAudit(request, 'server.delete', {
+      target: serverTarget(holesailServer), before: storedServer(holesailServer),
+    });
+    events.publish('server.deleted', { id: holesailServer.id });
     return { success: true };
   } catch (err) {
-    fastify.log.error('DELETE /api/servers/:index failed', err);
+    fastify.log.error('DELETE /api/servers/:id failed', err);
     return reply.code(500).send({ error: 'Error deleting server' });
   }
 }));
 
+// POST /api/servers/:id/start|stop|restart - Act on the running instance without changing the stored config
+// A stop only lasts until the next start/restart (or until the switchboard restarts).
+for (const action of ['start', 'stop', 'restart']) {
+  fastify.post(
+    `/api/servers/:id/${action}`,
+    operatorRoute,
+    async (request, reply) => mutationLimit(async () => {
+    try {
+      const holesailServer = holesailServers[findServerIndex(request.params.id)];
+      if (!holesailServer) {
+        return reply.code(404).send({ error: 'Server not found' });
+      }
+      if (!holesailServer.enabled) {
+        return reply.code(409).send({ error: 'Server is disabled' });
+      }
+
+      if (action !== 'start' || !holesailServer.hs) {
+        await stopServer(holesailServer);
+      }
+      holesailServer.runtimeStopped = action === 'stop';
+      if (action !== 'stop' && !holesailServer.hs) {
+        await startServer(holesailServer);
+      }
+      recordAudit(request, `server.${action}`, { target: serverTarget(holesailServer) });
+      return { success: true, state: holesailServer.state };
+    } catch (err) {
+      fastify.log.error(`POST /api/servers/:id/${action} failed`, err);
+      return reply.code(500).send({ error: `Error during server ${action}` });
+    }
+  }));
+}
+
+// GET /api/clients/:id/stats - Connection and traffic statistics of a client
+fastify.get('/api/clients/:id/stats', readRoute, async (request, reply) => {
+  const holesailClient = holesailClients[findClientIndex(request.params.id)];
+  if (!holesailClient) {
+    return reply.code(404).send({ error: 'Client not found' });
+  }
+  return {
+    id: holesailClient.id,
+    state: holesailClient.state,
+    stats: holesailClient.hs ? stats.getClientStats(holesailClient.hs) : null,
+  };
+});
+
 // POST /api/clients - Create new client
-fastify.post('/api/clients', { preHandler: requireAuth }, async (request, reply) => mutationLimit(async () => {
+fastify.post('/api/clients', tunnelAdminRoute, async (request, reply) => mutationLimit(async () => {
   try {
     if (fixedClientPortsString) {
       return reply.code(403).send({ error: 'Unauthorized to create clients' });
     }
-    const { key, port, enabled } = request.body;
-
-    if (!isValidClientKey(key)) {
-      return reply.code(400).send({ error: 'Key must be a valid HS URL' });
+    const {
+      key,
+      port: requestedPort,
+      host = '',
+      ownKeyPair = false,
+      enabled,
+      name = '',
+      description = '',
+      tags = [],
+      restartPolicy = supervisor.getDefaultRestartPolicy(),
+    } = request.body;
+
+    // Before allocating or probing a port on the host
+    const hostError = entries.isValidHost(host) && getClientHostError(host);
+    if (hostError) {
+      return reply.code(400).send({ error: hostError });
     }
-    if (!isValidPort(port)) {
-      return reply.code(400).send({ error: 'Invalid port' });
+    const port = (requestedPort === 'auto' && entries.isValidHost(host))
+      ? await allocateClientPort(host, null)
+      : requestedPort;
+    if (port === null) {
+      return reply.code(409).send({ error: 'No free port found', conflict: null });
     }
-    if (typeof enabled !== 'boolean') {
-      return reply.code(400).send({ error: 'Enabled must be a boolean' });
+    const validationError = entries.getClientError({
+      key, port, host, ownKeyPair, enabled, name, description, tags, restartPolicy,
+    });
+    if (validationError) {
+      return reply.code(400).send({ error: validationError });
     }
-    if (enabled) {
-      if (key === '') {
-        return reply.code(400).send({ error: 'HS URL is required when client is enabled' });
-      }
-      if (port === 0) {
-        return reply.code(400).send({ error: 'Port is required when client is enabled' });
-      }
+    const conflict = await findClientPortConflict({ port, host, enabled }, null);
+    if (conflict) {
+      return reply.code(409).send({ error: describePortConflict(conflict), conflict });
     }
 
-    holesailClients.push({
-      key,
-      port,
-      enabled,
+    const holesailClient = entries.createClient(nodeCrypto.randomUUID(), {
+      key, port, host, ownKeyPair, enabled, name, description, tags, restartPolicy,
     });
-    const index = holesailClients.length - 1;
+    holesailClients.push(holesailClient);
     await saveData();
-    await startClient(index);
-    return { success: true, index };
+    recordAudit(request, 'client.create', { target: clientTarget(holesailClient), after: holesailClient });
+    events.publish('client.created', serializeClient(holesailClient));
+    await startClient(holesailClient);
+    return { success: true, id: holesailClient.id, port };
   } catch (err) {
     fastify.log.error('POST /api/clients failed', err);
     return reply.code(500).send({ error: 'Error creating client' });
   }
 }));
 
-// PATCH /api/clients/:index - Update client
-fastify.patch('/api/clients/:index', { preHandler: requireAuth }, async (request, reply) => mutationLimit(async () => {
+// PATCH /api/clients/:id - Update client
+fastify.patch('/api/clients/:id', tunnelAdminRoute, async (request, reply) => mutationLimit(async () => {
   try {
-    const index = parseInt(request.params.index, 10);
-    if (typeof index !== 'number' || Number.isNaN(index) || index < 0 || index >= holesailClients.length) {
+    const index = findClientIndex(request.params.id);
+    if (index === -1) {
       return reply.code(404).send({ error: 'Client not found' });
     }
-
-    const { key, port, enabled } = request.body;
-
-    if (!isValidClientKey(key)) {
-      return reply.code(400).send({ error: 'Key must be a valid HS URL' });
+    if (isDeclared(holesailClients[index])) {
+      return reply.code(403).send({ error: 'Client is declared in the config file' });
     }
-    if (!isValidPort(port)) {
-      return reply.code(400).send({ error: 'Invalid port' });
+
+    const {
+      key,
+      port: requestedPort,
+      host = holesailClients[index].host ?? '',
+      ownKeyPair = holesailClients[index].ownKeyPair ?? false,
+      enabled,
+      name = holesailClients[index].name,
+      description = holesailClients[index].description,
+      tags = holesailClients[index].tags,
+      restartPolicy = holesailClients[index].restartPolicy,
+    } = request.body;
+
+    // Before allocating or probing a port on the host
+    const hostError = entries.isValidHost(host) && getClientHostError(host);
+    if (hostError) {
+      return reply.code(400).send({ error: hostError });
     }
-    if (typeof enabled !== 'boolean') {
-      return reply.code(400).send({ error: 'Enabled must be a boolean' });
+    const port = (requestedPort === 'auto' && entries.isValidHost(host))
+      ? await allocateClientPort(host, holesailClients[index])
+      : requestedPort;
+    if (port === null) {
+      return reply.code(409).send({ error: 'No free port found', conflict: null });
     }
-    if (enabled) {
-      if (key === '') {
-        return reply.code(400).send({ error: 'HS URL is required when client is enabled' });
-      }
-      if (port === 0) {
-        return reply.code(400).send({ error: 'Port is required when client is enabled' });
-      }
+    const validationError = entries.getClientError({
+      key, port, host, ownKeyPair, enabled, name, description, tags, restartPolicy,
+    });
+    if (validationError) {
+      return reply.code(400).send({ error: validationError });
     }
     if (fixedClientPortsString && port !== holesailClients[index].port) {
       return reply.code(403).send({ error: 'Unauthorized to change client port' });
     }
+    const conflict = await findClientPortConflict({ port, host, enabled }, holesailClients[index]);
+    if (conflict) {
+      return reply.code(409).send({ error: describePortConflict(conflict), conflict });
+    }
 
-    await stopClient(index);
-    holesailClients[index] = { key, port, enabled };
+    const previous = storedClient(holesailClients[index]);
+    await stopClient(holesailClients[index]);
+    holesailClients[index] = entries.createClient(holesailClients[index].id, {
+      key, port, host, ownKeyPair, enabled, name, description, tags, restartPolicy,
+    });
     await saveData();
-    await startClient(index);
-    return { success: true };
+    recordAudit(request, 'client.update', {
+      target: clientTarget(holesailClients[index]), before: previous, after: storedClient(holesailClients[index]),
+    });
+    events.publish('client.updated', serializeClient(holesailClients[index]));
+    await startClient(holesailClients[index]);
+    return { success: true, port };
   } catch (err) {
-    fastify.log.error('PATCH /api/clients/:index failed', err);
+    fastify.log.error('PATCH /api/clients/:id failed', err);
     return reply.code(500).send({ error: 'Error updating client' });
   }
 }));
 
-// DELETE /api/clients/:index - Delete client
-fastify.delete('/api/clients/:index', { preHandler: requireAuth }, async (request, reply) => mutationLimit(async () => {
+// DELETE /api/clients/:id - Delete client
+fastify.delete('/api/clients/:id', tunnelAdminRoute, async (request, reply) => mutationLimit(async () => {
   try {
     if (fixedClientPortsString) {
       return reply.code(403).send({ error: 'Unauthorized to delete clients' });
     }
-    const index = parseInt(request.params.index, 10);
-    if (typeof index !== 'number' || Number.isNaN(index) || index < 0 || index >= holesailClients.length) {
+    const index = findClientIndex(request.params.id);
+    if (index === -1) {
       return reply.code(404).send({ error: 'Client not found' });
     }
+    if (isDeclared(holesailClients[index])) {
+      return reply.code(403).send({ error: 'Client is declared in the config file' });
+    }
 
-    await stopClient(index);
-    holesailClients.splice(index, 1);
+    await stopClient(holesailClients[index]);
+    const [holesailClient] = holesailClients.splice(index, 1);
     await saveData();
+    recordAudit(request, 'client.delete', {
+      target: clientTarget(holesailClient), before: storedClient(holesailClient),
+    });
+    events.publish('client.deleted', { id: holesailClient.id });
     return { success: true };
   } catch (err) {
-    fastify.log.error('DELETE /api/clients/:index failed', err);
+    fastify.log.error('DELETE /api/clients/:id failed', err);
     return reply.code(500).send({ error: 'Error deleting client' });
   }
 }));
 
+// POST /api/clients/:id/start|stop|restart - Act on the running instance without changing the stored config
+// A stop only lasts until the next start/restart (or until the switchboard restarts).
+for (const action of ['start', 'stop', 'restart']) {
+  fastify.post(
+    `/api/clients/:id/${action}`,
+    operatorRoute,
+    async (request, reply) => mutationLimit(async () => {
+    try {
+      const holesailClient = holesailClients[findClientIndex(request.params.id)];
+      if (!holesailClient) {
+        return reply.code(404).send({ error: 'Client not found' });
+      }
+      if (!holesailClient.enabled) {
+        return reply.code(409).send({ error: 'Client is disabled' });
+      }
+
+      if (action !== 'start' || !holesailClient.hs) {
+        await stopClient(holesailClient);
+      }
+      holesailClient.runtimeStopped = action === 'stop';
+      if (action !== 'stop' && !holesailClient.hs) {
+        await startClient(holesailClient);
+      }
+      recordAudit(request, `client.${action}`, { target: clientTarget(holesailClient) });
+      return { success: true, state: holesailClient.state };
+    } catch (err) {
+      fastify.log.error(`POST /api/clients/:id/${action} failed`, err);
+      return reply.code(500).send({ error: `Error during client ${action}` });
+    }
+  }));
+}
+
+// GET /api/export - Download all servers and clients as a versioned document
+// Keys are redacted unless ?includeKeys=true, so that the document can be shared without giving access to tunnels.
+fastify.get('/api/export', tunnelAdminRoute, async (request, reply) => {
+  const includeKeys = request.query?.includeKeys === 'true';
+  recordAudit(request, 'config.export', { details: { includeKeys } });
+  const date = new Date().toISOString().slice(0, 10);
+  reply.header('Cache-Control', 'no-store');
+  reply.header('Content-Disposition', `attachment; filename="holesail-switchboard-${date}.json"`);
+  return transfer.createDocument(
+    { servers: holesailServers, clients: holesailClients },
+    { includeKeys, appVersion: pkg.version },
+  );
+});
+
+// Apply a plan of transfer.planImport() or planReload(): the unchanged entries are kept as they are (including their
+// running instance), the others are stopped, replaced and started again
+async function applyEntryPlan(plan, request, source, { startTunnels = true } = {}) {
+  for (const holesailServer of [...plan.servers.removed, ...plan.servers.updated.map(({ previous }) => previous)]) {
+    await stopServer(holesailServer);
+  }
+  for (const holesailClient of [...plan.clients.removed, ...plan.clients.updated.map(({ previous }) => previous)]) {
+    await stopClient(holesailClient);
+  }
+  holesailServers.splice(0, holesailServers.length, ...plan.servers.entries);
+  holesailClients.splice(0, holesailClients.length, ...plan.clients.entries);
+  await saveData();
+
+  // One audit log entry per changed server or client, like the equivalent API calls
+  const details = { source };
+  for (const [kind, getTarget, getStored, kindPlan] of [
+    ['server', serverTarget, storedServer, plan.servers],
+    ['client', clientTarget, storedClient, plan.clients],
+  ]) {
+    for (const entry of kindPlan.added) {
+      recordAudit(request, `${kind}.create`, { target: getTarget(entry), after: entry, details });
+    }
+    for (const { entry, previous } of kindPlan.updated) {
+      recordAudit(request, `${kind}.update`, {
+        target: getTarget(entry), before: getStored(previous), after: entry, details,
+      });
+    }
+    for (const entry of kindPlan.removed) {
+      recordAudit(request, `${kind}.delete`, { target: getTarget(entry), before: getStored(entry), details });
+    }
+  }
+
+  for (const { id } of plan.servers.removed) {
+    events.publish('server.deleted', { id });
+  }
+  for (const { id } of plan.clients.removed) {
+    events.publish('client.deleted', { id });
+  }
+  for (const { entry } of plan.servers.updated) {
+    events.publish('server.updated', serializeServer(entry));
+  }
+  for (const { entry } of plan.clients.updated) {
+    events.publish('client.updated', serializeClient(entry));
+  }
+  for (const holesailServer of plan.servers.added) {
+    events.publish('server.created', serializeServer(holesailServer));
+  }
+  for (const holesailClient of plan.clients.added) {
+    events.publish('client.created', serializeClient(holesailClient));
+  }
+
+  if (!startTunnels) {
+    return;
+  }
+  for (const holesailServer of [...plan.servers.updated.map(({ entry }) => entry), ...plan.servers.added]) {
+    await startServer(holesailServer);
+  }
+  for (const holesailClient of [...plan.clients.updated.map(({ entry }) => entry), ...plan.clients.added]) {
+    await startClient(holesailClient);
+  }
+}
+
+// POST /api/import - Import a document from GET /api/export
+// Body: { document, mode: "merge" | "replace", dryRun }. Entries missing a key keep the key they have here.
+// With dryRun, nothing is changed and only the summary of the changes is returned.
+fastify.post('/api/import', adminRoute, async (request, reply) => mutationLimit(async () => {
+  try {
+    const { document, mode = 'merge', dryRun = false } = request.body || {};
+    if (mode !== 'merge' && mode !== 'replace') {
+      return reply.code(400).send({ error: 'Mode must be "merge" or "replace"' });
+    }
+    if (typeof dryRun !== 'boolean') {
+      return reply.code(400).send({ error: 'Dry run must be a boolean' });
+    }
+    const plan = transfer.planImport(
+      document,
+      { servers: holesailServers, clients: holesailClients },
+      { mode, fixedClientPorts },
+    );
+    if (plan.error) {
+      return reply.code(400).send({ error: plan.error });
+    }
+    const hostError = [...plan.clients.added, ...plan.clients.updated.map(({ entry }) => entry)]
+      .map((client) => getClientHostError(client.host)).find(Boolean);
+    if (hostError) {
+      return reply.code(400).send({ error: hostError });
+    }
+    const declaredEntry = [
+      ...plan.servers.removed, ...plan.servers.updated.map(({ previous }) => previous),
+      ...plan.clients.removed, ...plan.clients.updated.map(({ previous }) => previous),
+    ].find(isDeclared);
+    if (declaredEntry) {
+      return reply.code(403).send({
+        error: `"${declaredEntry.name || declaredEntry.id}" is declared in the config file, change it there`,
+      });
+    }
+    const summary = { success: true, dryRun, mode, ...transfer.summarizeImport(plan) };
+    if (dryRun) {
+      return summary;
+    }
+
+    await applyEntryPlan(plan, request, 'import');
+    recordAudit(request, 'config.import', { details: { mode } });
+    return summary;
+  } catch (err) {
+    fastify.log.error('POST /api/import failed', err);
+    return reply.code(500).send({ error: 'Error importing configuration' });
+  }
+}));
+
+// Integer environment variable, or undefined when it isn't set
+function getIntegerEnv(name, min, max) {
+  if (!process.env[name]) {
+    return undefined;
+  }
+  const value = Number(process.env[name]);
+  if (!Number.isSafeInteger(value) || value < min || value > max) {
+    throw new Error(`Invalid ${name} environment variable: expected an integer from ${min} to ${max}`);
+  }
+  return value;
+}
+
+// HSSB_DATA_BACKUPS, read by the server and by every CLI command writing the data file
+function parseDataBackups() {
+  maxDataBackups = getIntegerEnv('HSSB_DATA_BACKUPS', 0, 1000) ?? 10;
+}
+
 // Start the server
 async function start(openBrowser = false) {
   try {
-    // Initialize authentication
-    auth.initAuth();
-
-    let fixedClientPorts = null;
+    loginlimit.configure({
+      maxAttempts: getIntegerEnv('HSSB_LOGIN_MAX_ATTEMPTS', 1, 1000),
+      lockoutSeconds: getIntegerEnv('HSSB_LOGIN_LOCKOUT_SECONDS', 1, 7 * 24 * 3600),
+      globalMaxAttempts: getIntegerEnv('HSSB_LOGIN_GLOBAL_MAX_ATTEMPTS', 1, 100000),
+    });
+    parseDataBackups();
+    parseAllowedClientHosts();
+    if (configFile && fixedClientPortsString) {
+      throw new Error('HSSB_FIXED_CLIENT_PORTS can\'t be used with a config file');
+    }
     if (fixedClientPortsString) {
       fixedClientPorts = new Set();
       for (const fixedClientPortPart of fixedClientPortsString.split(',')) {
@@ -647,13 +2559,25 @@ async function start(openBrowser = false) {
     if (!await ensureDataFile(fixedClientPorts)) {
       throw new Error('Failed to initialize data file');
     }
+    // Initialize authentication
+    await loadSessions();
+    await audit.init(getSiblingFile('audit.jsonl'));
+    if (process.env.HSSB_DATA_KEY && !dataKey) {
+      console.warn('HSSB_DATA_KEY is set but the data file is not encrypted, run the encrypt-data-file command');
+    }
     if (fixedClientPorts) {
       const usedPorts = new Set(holesailClients.map(client => client.port));
       const unusedPorts = [...fixedClientPorts].filter(port => !usedPorts.has(port)).sort((a, b) => a - b);
       for (const port of unusedPorts) {
         holesailClients.push({
+          id: nodeCrypto.randomUUID(),
+          name: '',
+          description: '',
+          tags: [],
+          restartPolicy: supervisor.getDefaultRestartPolicy(),
           key: '',
           port,
+          host: '',
           enabled: false,
         });
       }
@@ -662,16 +2586,39 @@ async function start(openBrowser = false) {
         await saveData();
       }
     }
-
-    for (let i = 0; i < holesailServers.length; i++) {
-      await startServer(i);
+    if (configFile) {
+      console.info(`Using config file: ${configFile}`);
+      await applyConfigFile('start', { startTunnels: false });
+    } else if (declaredIds.size > 0) {
+      console.info(`No config file: the ${declaredIds.size} entries it declared can be changed from the dashboard now`);
+      declaredIds = new Set();
+      await saveData();
     }
 
-    for (let i = 0; i < holesailClients.length; i++) {
-      await startClient(i);
-    }
+    dataLoaded = true;
 
+    // Listen first, so that health checks answer while the tunnels start (they are reported as initializing)
+    for (const entry of [...holesailServers, ...holesailClients]) {
+      entry.state = 'initializing';
+    }
     await fastify.listen({ host: webServerHost, port: webServerPort });
+    await fs.writeFile(getPidFile(), JSON.stringify({
+      pid: process.pid,
+      url: `http://${webServerHost}:${webServerPort}`,
+    }), { mode: 0o600 });
+    await mutationLimit(async () => {
+      for (const holesailServer of holesailServers) {
+        await startServer(holesailServer);
+      }
+      for (const holesailClient of holesailClients) {
+        await startClient(holesailClient);
+      }
+    });
+    dataFileWatcher = watchFile(dataFile, 'data file', () => void reloadDataFile('file changed'));
+    if (configFile) {
+      configFileWatcher = watchFile(configFile, 'config file', () => void reloadConfigFile('file changed'));
+    }
+
     const url = `http://${webServerHost}:${webServerPort}`;
     await new Promise(resolve => setTimeout(resolve, 500));
     console.info(`Web dashboard UI running on: ${url}`);
@@ -691,7 +2638,93 @@ async function start(openBrowser = false) {
   }
 }
 
+// Stop on SIGTERM/SIGINT without losing data: let the running mutations (and their saveData()) finish, close the
+// tunnels so that their DHT announcements are withdrawn, then close the web server. A second signal exits right away.
+async function shutdown(signal) {
+  if (shuttingDown) {
+    console.warn(`${signal} received again, exiting without waiting`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  console.info(`${signal} received, shutting down`);
+  dataFileWatcher?.close();
+  configFileWatcher?.close();
+  setTimeout(() => {
+    console.error(`Shutdown didn't finish within ${shutdownTimeoutSeconds} seconds, exiting anyway`);
+    process.exit(1);
+  }, shutdownTimeoutSeconds * 1000).unref();
+
+  try {
+    await mutationLimit(async () => {
+      const stopped = Promise.all([
+        ...holesailServers.map((holesailServer) => stopServer(holesailServer)),
+        ...holesailClients.map((holesailClient) => stopClient(holesailClient)),
+      ]).then(() => false);
+      let timer;
+      const timedOut = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(true), tunnelStopTimeoutSeconds * 1000);
+      });
+      if (await Promise.race([stopped, timedOut])) {
+        console.warn(`Some tunnels didn't stop within ${tunnelStopTimeoutSeconds} seconds`);
+      }
+      clearTimeout(timer);
+    });
+    events.closeAll(); // event streams would keep the web server open
+    await fastify.close();
+    await fs.rm(getPidFile(), { force: true });
+    if (dataLoaded) {
+      await saveSessions(); // in case a save was scheduled
+    }
+    await audit.flush();
+    console.info('Shutdown complete');
+    process.exit(0);
+  } catch (err) {
+    console.error('Error during shutdown', err);
+    process.exit(1);
+  }
+}
+
 if (require.main === module) {
+  // Override globals with CLI flags (CLI takes precedence)
+  const applyCliOptions = (cliOptions) => {
+    if (cliOptions.dataFile) {
+      dataFile = path.isAbsolute(cliOptions.dataFile)
+        ? cliOptions.dataFile
+        : path.join(process.cwd(), cliOptions.dataFile);
+    }
+    if (cliOptions.port) {
+      webServerPort = cliOptions.port;
+    }
+    if (cliOptions.host) {
+      webServerHost = cliOptions.host;
+    }
+    if (cliOptions.clientHost) {
+      clientHost = cliOptions.clientHost;
+    }
+    if (cliOptions.config) {
+      configFile = path.resolve(cliOptions.config);
+    }
+
+    const originalWebServerPort = webServerPort;
+    webServerPort = Number(webServerPort);
+    if (!Number.isSafeInteger(webServerPort) || webServerPort <= 0 || webServerPort > 65535) {
+      console.error('Invalid web server port', originalWebServerPort);
+      process.exit(1);
+    }
+  };
+
+  // Data file commands don't start the web server or any tunnel
+  const runDataFileCommand = (command) => {
+    applyCliOptions(program.opts());
+    (async () => {
+      parseDataBackups();
+      await command();
+    })().catch((err) => {
+      console.error(err.message || err);
+      process.exit(1);
+    });
+  };
+
   program
     .name('holesail-switchboard')
     .description('A web interface to manage multiple holesail servers and clients')
@@ -700,32 +2733,39 @@ if (require.main === module) {
     .option('-p, --port <number>', 'Web dashboard UI port (overrides HSSB_PORT)')
     .option('-H, --host <address>', 'Web dashboard UI host (overrides HSSB_HOST)')
     .option('-c, --client-host <address>', 'Host for Holesail clients to bind to (overrides HSSB_CLIENT_HOST)')
+    .option('-C, --config <path>', 'Declarative config file of servers and clients, YAML or JSON (overrides '
+      + 'HSSB_CONFIG_FILE)')
     .option('--no-open', 'Don\'t open browser on startup')
-    .parse();
-
-  const cliOptions = program.opts();
+    .action((cliOptions) => {
+      applyCliOptions(cliOptions);
+      for (const signal of ['SIGTERM', 'SIGINT']) {
+        process.on(signal, () => void shutdown(signal));
+      }
+      process.on('SIGHUP', () => {
+        void reloadDataFile('SIGHUP');
+        if (configFile) {
+          void reloadConfigFile('SIGHUP');
+        }
+      });
+      void start(cliOptions.open);
+    });
 
-  // Override globals with CLI flags (CLI takes precedence)
-  if (cliOptions.dataFile) {
-    dataFile = path.isAbsolute(cliOptions.dataFile)
-      ? cliOptions.dataFile
-      : path.join(process.cwd(), cliOptions.dataFile);
-  }
-  if (cliOptions.port) {
-    webServerPort = cliOptions.port;
-  }
-  if (cliOptions.host) {
-    webServerHost = cliOptions.host;
-  }
-  if (cliOptions.clientHost) {
-    clientHost = cliOptions.clientHost;
-  }
+  program
+    .command('encrypt-data-file')
+    .description('Encrypt the keys in the data file (with HSSB_DATA_KEY, or a passphrase entered in the terminal)')
+    .action(() => runDataFileCommand(() => migrateDataFile(true)));
 
-  const originalWebServerPort = webServerPort;
-  webServerPort = Number(webServerPort);
-  if (!Number.isSafeInteger(webServerPort) || webServerPort <= 0 || webServerPort > 65535) {
-    console.error('Invalid web server port', originalWebServerPort);
-    process.exit(1);
-  }
-  void start(cliOptions.open);
+  program
+    .command('decrypt-data-file')
+    .description('Store the keys in the data file in cleartext again')
+    .action(() => runDataFileCommand(() => migrateDataFile(false)));
+
+  cli.addCommands(program, {
+    openFileBackend: async () => {
+      applyCliOptions(program.opts());
+      return openFileBackend();
+    },
+  });
+
+  program.parse();
 }
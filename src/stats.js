@@ -0,0 +1,148 @@
+// Connection and traffic statistics for running Holesail instances.
+// Holesail doesn't expose per-connection traffic, so we observe the encrypted peer streams ourselves:
+// incoming streams on the server's HyperDHT server, outgoing streams opened by the client's HyperDHT node.
+
+// In-memory state
+const trackersByHs = new WeakMap(); // Holesail instance -> tracker
+
+function createTracker() {
+  return {
+    startedAt: Math.floor(Date.now() / 1000),
+    openSockets: new Set(),
+    establishedSockets: new Set(),
+    totalConnections: 0,
+    closedBytesIn: 0,
+    closedBytesOut: 0,
+    lastActivityAt: null,
+  };
+}
+
+// Bytes on the wire (including encryption overhead), as counted by the underlying UDX stream.
+function getSocketBytes(socket) {
+  const rawStream = socket.rawStream;
+  return {
+    bytesIn: (rawStream && typeof rawStream.bytesReceived === 'number') ? rawStream.bytesReceived : 0,
+    bytesOut: (rawStream && typeof rawStream.bytesTransmitted === 'number') ? rawStream.bytesTransmitted : 0,
+  };
+}
+
+function trackSocket(tracker, socket) {
+  const touch = () => {
+    tracker.lastActivityAt = Math.floor(Date.now() / 1000);
+  };
+  tracker.openSockets.add(socket);
+  tracker.totalConnections++;
+  touch();
+  socket.on('connect', () => {
+    tracker.establishedSockets.add(socket);
+    touch();
+  });
+  socket.on('data', touch);
+  socket.on('close', () => {
+    if (!tracker.openSockets.delete(socket)) {
+      return;
+    }
+    tracker.establishedSockets.delete(socket);
+    const { bytesIn, bytesOut } = getSocketBytes(socket);
+    tracker.closedBytesIn += bytesIn;
+    tracker.closedBytesOut += bytesOut;
+    touch();
+  });
+}
+
+/**
+ * Start collecting statistics for a running Holesail server
+ * @param {object} hs - A Holesail instance created with `server: true`, after `ready()`
+ */
+function attachServer(hs) {
+  if (!hs.dht?.server) {
+    return;
+  }
+  const tracker = createTracker();
+  trackersByHs.set(hs, tracker);
+  // Server-side streams are already established when emitted.
+  hs.dht.server.on('connection', (socket) => {
+    trackSocket(tracker, socket);
+    tracker.establishedSockets.add(socket);
+  });
+}
+
+/**
+ * Start collecting statistics for a running Holesail client
+ * @param {object} hs - A Holesail instance created with `client: true`, after `ready()`
+ */
+function attachClient(hs) {
+  const dht = hs.dht?.dht;
+  if (!dht) {
+    return;
+  }
+  const tracker = createTracker();
+  trackersByHs.set(hs, tracker);
+  // The client opens one stream to the remote per local connection, through its own HyperDHT node.
+  const connect = dht.connect.bind(dht);
+  dht.connect = (...args) => {
+    const socket = connect(...args);
+    trackSocket(tracker, socket);
+    return socket;
+  };
+}
+
+function getTotals(tracker) {
+  let bytesIn = tracker.closedBytesIn;
+  let bytesOut = tracker.closedBytesOut;
+  for (const socket of tracker.openSockets) {
+    const socketBytes = getSocketBytes(socket);
+    bytesIn += socketBytes.bytesIn;
+    bytesOut += socketBytes.bytesOut;
+  }
+  return {
+    connections: tracker.establishedSockets.size,
+    totalConnections: tracker.totalConnections,
+    bytesIn,
+    bytesOut,
+    lastActivityAt: tracker.lastActivityAt,
+    startedAt: tracker.startedAt,
+  };
+}
+
+/**
+ * Get statistics of a running Holesail server
+ * @param {object} hs - A Holesail instance passed to attachServer()
+ * @returns {{ peers: number, connections: number, totalConnections: number, bytesIn: number, bytesOut: number,
+ *   lastActivityAt: number | null, startedAt: number } | null}
+ */
+function getServerStats(hs) {
+  const tracker = trackersByHs.get(hs);
+  if (!tracker) {
+    return null;
+  }
+  return {
+    // Distinct remote public keys with at least one open connection
+    peers: hs.dht.activeConnections ? hs.dht.activeConnections.size : 0,
+    ...getTotals(tracker),
+  };
+}
+
+/**
+ * Get statistics of a running Holesail client
+ * @param {object} hs - A Holesail instance passed to attachClient()
+ * @returns {{ connected: boolean, connections: number, totalConnections: number, bytesIn: number, bytesOut: number,
+ *   lastActivityAt: number | null, startedAt: number } | null}
+ */
+function getClientStats(hs) {
+  const tracker = trackersByHs.get(hs);
+  if (!tracker) {
+    return null;
+  }
+  return {
+    connected: tracker.establishedSockets.size > 0,
+    ...getTotals(tracker),
+  };
+}
+
+module.exports = {
+  attachServer,
+  attachClient,
+  getServerStats,
+  getClientStats,
+};
@@ -0,0 +1,134 @@
+// Restarts failed or crashed tunnels with exponential backoff and jitter.
+// The restart policy is stored on each entry (`restartPolicy`); the runtime status (`restartStatus`) is not persisted.
+
+// Constants
+const defaultRestartPolicy = { enabled: true, initialDelaySeconds: 5, maxDelaySeconds: 300, maxAttempts: 0 };
+const jitterRatio = 0.2; // +-20% of the computed delay
+const stableRunSeconds = 60; // a tunnel that ran this long before crashing starts over from the initial delay
+
+// In-memory state
+const timersByEntry = new Map(); // entry -> pending restart timeout
+const restartCountsById = new Map(); // entry id -> automatic restarts since the start (kept when the entry is edited)
+
+/**
+ * Get a copy of the default restart policy
+ * @returns {{ enabled: boolean, initialDelaySeconds: number, maxDelaySeconds: number, maxAttempts: number }}
+ */
+function getDefaultRestartPolicy() {
+  return { ...defaultRestartPolicy };
+}
+
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && min <= value && value <= max;
+}
+
+/**
+ * Validate a restart policy received from the API
+ * @param {unknown} policy
+ * @returns {boolean}
+ */
+function isValidRestartPolicy(policy) {
+  return Boolean(policy) && typeof policy === 'object' && !Array.isArray(policy)
+    && typeof policy.enabled === 'boolean'
+    && isIntegerInRange(policy.initialDelaySeconds, 1, 3600)
+    && isIntegerInRange(policy.maxDelaySeconds, policy.initialDelaySeconds, 86400)
+    && isIntegerInRange(policy.maxAttempts, 0, 1000); // 0 = retry forever
+}
+
+/**
+ * Keep only the known fields of a (valid) restart policy
+ * @param {{ enabled: boolean, initialDelaySeconds: number, maxDelaySeconds: number, maxAttempts: number }} policy
+ */
+function normalizeRestartPolicy({ enabled, initialDelaySeconds, maxDelaySeconds, maxAttempts }) {
+  return { enabled, initialDelaySeconds, maxDelaySeconds, maxAttempts };
+}
+
+/**
+ * Delay before the given retry attempt (1-based)
+ * @returns {number} - Seconds
+ */
+function getRetryDelaySeconds(policy, attempt) {
+  const exponential = Math.min(policy.maxDelaySeconds, policy.initialDelaySeconds * 2 ** (attempt - 1));
+  const jitter = exponential * jitterRatio * (Math.random() * 2 - 1);
+  return Math.max(1, Math.min(policy.maxDelaySeconds, Math.round(exponential + jitter)));
+}
+
+/**
+ * Cancel a pending restart of an entry (e.g. when it is stopped, edited or deleted)
+ * @param {object} entry - A server or client entry
+ */
+function cancelRestart(entry) {
+  const timer = timersByEntry.get(entry);
+  if (timer) {
+    clearTimeout(timer);
+    timersByEntry.delete(entry);
+  }
+  if (entry.restartStatus) {
+    entry.restartStatus.nextRetryAt = null;
+  }
+}
+
+/**
+ * Record a failed start or a crash, and schedule a restart according to the entry's restart policy
+ * @param {object} entry - A server or client entry
+ * @param {unknown} error - The reason of the failure
+ * @param {() => Promise<void>} restart - Called when the retry is due
+ */
+function scheduleRestart(entry, error, restart) {
+  cancelRestart(entry);
+  const now = Math.floor(Date.now() / 1000);
+  const previous = entry.restartStatus;
+  const ranStably = Boolean(previous?.runningSince) && now - previous.runningSince >= stableRunSeconds;
+  const attempts = (previous && !ranStably) ? previous.attempts + 1 : 1;
+  const restartStatus = {
+    attempts,
+    lastError: (error instanceof Error ? error.message : String(error)) || 'Unknown error',
+    lastFailureAt: now,
+    nextRetryAt: null,
+    runningSince: null,
+  };
+  entry.restartStatus = restartStatus;
+
+  const policy = entry.restartPolicy || defaultRestartPolicy;
+  if (!policy.enabled || (policy.maxAttempts > 0 && attempts > policy.maxAttempts)) {
+    return;
+  }
+  const delaySeconds = getRetryDelaySeconds(policy, attempts);
+  restartStatus.nextRetryAt = now + delaySeconds;
+  timersByEntry.set(entry, setTimeout(() => {
+    timersByEntry.delete(entry);
+    restartStatus.nextRetryAt = null;
+    restartCountsById.set(entry.id, getRestartCount(entry) + 1);
+    void restart();
+  }, delaySeconds * 1000));
+}
+
+/**
+ * Record that an entry started successfully
+ * @param {object} entry - A server or client entry
+ */
+function markRunning(entry) {
+  if (entry.restartStatus) {
+    entry.restartStatus.runningSince = Math.floor(Date.now() / 1000);
+  }
+}
+
+/**
+ * Number of automatic restarts of an entry since the switchboard started
+ * @param {object} entry - A server or client entry
+ * @returns {number}
+ */
+function getRestartCount(entry) {
+  return restartCountsById.get(entry.id) ?? 0;
+}
+
+module.exports = {
+  getDefaultRestartPolicy,
+  isValidRestartPolicy,
+  normalizeRestartPolicy,
+  getRetryDelaySeconds,
+  cancelRestart,
+  scheduleRestart,
+  markRunning,
+  getRestartCount,
+};
@@ -0,0 +1,147 @@
+// Time-based one-time passwords (RFC 6238, as used by authenticator apps) and recovery codes for two-factor login.
+// Only the defaults every authenticator app supports: SHA-1, 6 digits, 30 second steps.
+
+const nodeCrypto = require('crypto');
+
+// Constants
+const base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const secretLength = 20; // bytes, as recommended by RFC 4226
+const digits = 6;
+const periodSeconds = 30;
+const allowedDriftSteps = 1; // also accept the previous and next codes (clock drift, slow typing)
+const recoveryCodeCount = 10;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += base32Alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += base32Alphabet[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(encoded) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of encoded.toUpperCase().replace(/=+$/, '')) {
+    const index = base32Alphabet.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// HOTP (RFC 4226) code of a counter
+function getCode(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = nodeCrypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % (10 ** digits)).padStart(digits, '0');
+}
+
+/**
+ * Generate a new secret
+ * @returns {string} - Base32, as expected by authenticator apps
+ */
+function generateSecret() {
+  return base32Encode(nodeCrypto.randomBytes(secretLength));
+}
+
+/**
+ * URI to enroll the secret in an authenticator app (usually shown as a QR code)
+ * @param {string} secret
+ * @param {{ issuer: string, accountName: string }} labels - Shown in the app
+ * @returns {string}
+ */
+function getOtpauthUri(secret, { issuer, accountName }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret, issuer, algorithm: 'SHA1', digits: String(digits), period: String(periodSeconds),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Verify a code
+ * @param {string} secret
+ * @param {unknown} code - As typed by the user (spaces are ignored)
+ * @param {number} [lastCounter] - Time step of the last accepted code: it and older codes are refused, so that a code
+ *   can't be replayed
+ * @returns {number | null} - Time step of the code (to store as the new lastCounter), or null if the code is wrong
+ */
+function verifyCode(secret, code, lastCounter = -1) {
+  if (typeof code !== 'string') {
+    return null;
+  }
+  const normalizedCode = code.replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalizedCode)) {
+    return null;
+  }
+  const currentCounter = Math.floor(Date.now() / 1000 / periodSeconds);
+  for (let counter = currentCounter - allowedDriftSteps; counter <= currentCounter + allowedDriftSteps; counter++) {
+    if (counter > lastCounter && nodeCrypto.timingSafeEqual(
+      Buffer.from(getCode(secret, counter)),
+      Buffer.from(normalizedCode),
+    )) {
+      return counter;
+    }
+  }
+  return null;
+}
+
+function hashRecoveryCode(code) {
+  const normalizedCode = code.replace(/[\s-]/g, '').toLowerCase();
+  return nodeCrypto.createHash('sha256').update(normalizedCode, 'utf8').digest('hex');
+}
+
+/**
+ * Generate single-use recovery codes, for when the authenticator app is lost
+ * @returns {{ codes: string[], hashes: string[] }} - The codes are shown once, only their hashes are stored
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: recoveryCodeCount }, () => {
+    const hex = nodeCrypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Find a recovery code among the stored hashes
+ * @param {string[]} hashes - As returned by generateRecoveryCodes() (minus the codes already used)
+ * @param {unknown} code - As typed by the user
+ * @returns {number} - Index of the matching hash, or -1
+ */
+function findRecoveryCode(hashes, code) {
+  if (typeof code !== 'string' || code.length > 100) {
+    return -1;
+  }
+  return hashes.indexOf(hashRecoveryCode(code));
+}
+
+module.exports = {
+  generateSecret,
+  getOtpauthUri,
+  verifyCode,
+  generateRecoveryCodes,
+  findRecoveryCode,
+};
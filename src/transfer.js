@@ -0,0 +1,251 @@
+// Export and import of the switchboard configuration as a versioned document.
+// Only servers and clients are exchanged: user accounts and the runtime state stay on each machine.
+
+const nodeCrypto = require('crypto');
+const entries = require('./entries');
+
+// Constants
+const documentFormat = 'holesail-switchboard';
+const documentVersion = 1; // increase when the document layout changes, and keep importing older versions
+const maxEntriesPerKind = 1000;
+
+/**
+ * Build an export document
+ * @param {{ servers: object[], clients: object[] }} current - The entries currently in use
+ * @param {{ includeKeys: boolean, appVersion: string }} options - Without keys, the document is safe to share
+ * @returns {object}
+ */
+function createDocument({ servers, clients }, { includeKeys, appVersion }) {
+  const withKey = (entry) => (includeKeys ? entry : { ...entry, key: undefined });
+  return {
+    format: documentFormat,
+    version: documentVersion,
+    appVersion,
+    exportedAt: Math.floor(Date.now() / 1000),
+    keysIncluded: includeKeys,
+    servers: servers.map((server) => withKey(entries.createServer(server.id, server))),
+    clients: clients.map((client) => withKey(entries.createClient(client.id, client))),
+  };
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function getDocumentError(document) {
+  if (!isPlainObject(document) || document.format !== documentFormat) {
+    return 'Not a Holesail Switchboard export';
+  }
+  if (!Number.isInteger(document.version) || document.version < 1) {
+    return 'Invalid document version';
+  }
+  if (document.version > documentVersion) {
+    return `Document version ${document.version} is not supported, please update Holesail Switchboard`;
+  }
+  return getEntriesError(document, 'document');
+}
+
+function getEntriesError(data, source) {
+  for (const kind of ['servers', 'clients']) {
+    if (!Array.isArray(data[kind]) || data[kind].length > maxEntriesPerKind) {
+      return `The ${kind} of the ${source} must be a list of at most ${maxEntriesPerKind} entries`;
+    }
+  }
+  const seenIds = new Set();
+  for (const entry of [...data.servers, ...data.clients]) {
+    if (!isPlainObject(entry)) {
+      return 'Every server and client must be an object';
+    }
+    if (entry.id !== undefined) {
+      if (typeof entry.id !== 'string' || !entry.id || entry.id.length > 100) {
+        return 'Ids must be non-empty strings of at most 100 characters';
+      }
+      if (seenIds.has(entry.id)) {
+        return `Duplicate id: ${entry.id}`;
+      }
+      seenIds.add(entry.id);
+    }
+  }
+  return null;
+}
+
+// Names of the stored fields that differ between two entries built by entries.createServer()/createClient()
+function getChangedFields(previous, entry) {
+  return Object.keys(entry).filter((field) => JSON.stringify(previous[field]) !== JSON.stringify(entry[field]));
+}
+
+/**
+ * Build the entries of one kind (servers or clients) after the import
+ * @returns {{ entries: object[], added: object[], updated: { entry: object, previous: object, fields: string[] }[],
+ *   removed: object[], unchanged: number, warnings: string[] } | { error: string }}
+ */
+function planKind(kind, importedEntries, currentEntries, { mode, takenIds, findPrevious, blankEntry }) {
+  const label = kind === 'servers' ? 'Server' : 'Client';
+  const getError = kind === 'servers' ? entries.getServerError : entries.getClientError;
+  const create = kind === 'servers' ? entries.createServer : entries.createClient;
+  const plan = { entries: [], added: [], updated: [], removed: [], unchanged: 0, warnings: [] };
+  const resultByPrevious = new Map(); // current entry -> entry replacing it
+
+  for (const [index, imported] of importedEntries.entries()) {
+    const previous = findPrevious(imported);
+    if (previous && resultByPrevious.has(previous)) {
+      return { error: `${label} ${index + 1}: Matches the same existing ${kind.slice(0, -1)} as another entry` };
+    }
+    const fields = entries.withDefaults({ ...imported });
+    // Redacted exports don't contain keys: keep the key of the entry being updated
+    if (fields.key === undefined) {
+      fields.key = previous ? previous.key : '';
+      if (!previous && fields.enabled) {
+        fields.enabled = false;
+        plan.warnings.push(`${label} ${index + 1} is imported disabled because the document does not contain its key`);
+      }
+    }
+    const validationError = getError(fields);
+    if (validationError) {
+      return { error: `${label} ${index + 1}: ${validationError}` };
+    }
+
+    if (previous) {
+      resultByPrevious.set(previous, create(previous.id, fields));
+    } else {
+      const id = (imported.id && !takenIds.has(imported.id)) ? imported.id : nodeCrypto.randomUUID();
+      takenIds.add(id);
+      plan.added.push(create(id, fields));
+    }
+  }
+
+  const addResult = (previous, entry) => {
+    const fields = getChangedFields(create(previous.id, previous), entry);
+    if (fields.length === 0) {
+      plan.entries.push(previous); // keeps the running instance
+      plan.unchanged++;
+    } else {
+      plan.entries.push(entry);
+      plan.updated.push({ entry, previous, fields });
+    }
+  };
+  for (const previous of currentEntries) {
+    if (resultByPrevious.has(previous)) {
+      addResult(previous, resultByPrevious.get(previous));
+    } else if (mode === 'merge') {
+      plan.entries.push(previous);
+      plan.unchanged++;
+    } else if (blankEntry) {
+      addResult(previous, blankEntry(previous));
+    } else {
+      plan.removed.push(previous);
+    }
+  }
+  plan.entries.push(...plan.added);
+  return plan;
+}
+
+/**
+ * Compute the changes an import would make, without changing anything
+ * "merge" updates the entries with the same id and adds the others; "replace" also removes the entries missing from
+ * the document. With fixed client ports, clients are matched by port instead, can't be added or removed, and replaced
+ * clients are reset to an empty disabled client.
+ * @param {unknown} document - As produced by createDocument()
+ * @param {{ servers: object[], clients: object[] }} current - The entries currently in use
+ * @param {{ mode: 'merge' | 'replace', fixedClientPorts: Set<number> | null }} options
+ * @returns {{ servers: object, clients: object } | { error: string }}
+ */
+function planImport(document, current, options) {
+  const documentError = getDocumentError(document);
+  if (documentError) {
+    return { error: documentError };
+  }
+  return planEntries(document, current, options);
+}
+
+/**
+ * Compute the changes to apply after the data file was edited outside of the switchboard: the same as a "replace"
+ * import of its servers and clients, so that only the entries that differ are restarted
+ * @param {{ servers: unknown, clients: unknown }} data - The servers and clients of the data file, keys unsealed
+ * @param {{ servers: object[], clients: object[] }} current - The entries currently in use
+ * @param {{ fixedClientPorts: Set<number> | null }} options
+ * @returns {{ servers: object, clients: object } | { error: string }}
+ */
+function planReload(data, current, { fixedClientPorts }) {
+  const entriesError = getEntriesError(data, 'data file');
+  if (entriesError) {
+    return { error: entriesError };
+  }
+  return planEntries(data, current, { mode: 'replace', fixedClientPorts });
+}
+
+/**
+ * Whether a plan from planImport() or planReload() changes anything
+ * @param {{ servers: object, clients: object }} plan
+ * @returns {boolean}
+ */
+function hasChanges(plan) {
+  return [plan.servers, plan.clients].some(({ added, updated, removed }) => (
+    added.length > 0 || updated.length > 0 || removed.length > 0
+  ));
+}
+
+function planEntries(document, current, { mode, fixedClientPorts }) {
+  const takenIds = new Set([...current.servers, ...current.clients].map((entry) => entry.id));
+
+  const servers = planKind('servers', document.servers, current.servers, {
+    mode,
+    takenIds,
+    findPrevious: (imported) => current.servers.find((server) => server.id === imported.id),
+  });
+  if (servers.error) {
+    return servers;
+  }
+
+  let clientOptions = {
+    mode,
+    takenIds,
+    findPrevious: (imported) => current.clients.find((client) => client.id === imported.id),
+  };
+  if (fixedClientPorts) {
+    const invalidIndex = document.clients.findIndex((client) => !fixedClientPorts.has(client.port));
+    if (invalidIndex !== -1) {
+      return { error: `Client ${invalidIndex + 1}: Port is not one of the fixed client ports` };
+    }
+    clientOptions = {
+      mode,
+      takenIds,
+      findPrevious: (imported) => current.clients.find((client) => client.port === imported.port),
+      blankEntry: (previous) => entries.createClient(previous.id, entries.withDefaults({
+        key: '', port: previous.port, enabled: false,
+      })),
+    };
+  }
+  const clients = planKind('clients', document.clients, current.clients, clientOptions);
+  if (clients.error) {
+    return clients;
+  }
+  return { servers, clients };
+}
+
+/**
+ * Describe the changes of an import plan for the API (without keys)
+ * @param {{ servers: object, clients: object }} plan - As returned by planImport()
+ */
+function summarizeImport(plan) {
+  const describe = ({ id, name, port }) => ({ id, name, port });
+  const summarizeKind = ({ added, updated, removed, unchanged }) => ({
+    added: added.map(describe),
+    updated: updated.map(({ entry, fields }) => ({ ...describe(entry), fields })),
+    removed: removed.map(describe),
+    unchanged,
+  });
+  return {
+    servers: summarizeKind(plan.servers),
+    clients: summarizeKind(plan.clients),
+    warnings: [...plan.servers.warnings, ...plan.clients.warnings],
+  };
+}
+
+module.exports = {
+  createDocument,
+  planImport,
+  planReload,
+  hasChanges,
+  summarizeImport,
+};